@@ -6,15 +6,42 @@ import { LightningElement, api } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import deleteJobs from '@salesforce/apex/AsynchronousV1.deleteJobs';
 import runJobs from '@salesforce/apex/AsynchronousV1.runJobs';
+import cancelJobs from '@salesforce/apex/AsynchronousV1.cancelJobs';
+import rescheduleJobs from '@salesforce/apex/AsynchronousV1.rescheduleJobs';
+import recoverJobs from '@salesforce/apex/AsynchronousV1.recoverJobs';
+import AsynchronousJobStateEditor from 'c/asynchronousJobStateEditor';
+import AsynchronousJobReschedule from 'c/asynchronousJobReschedule';
+import AsynchronousJobNew from 'c/asynchronousJobNew';
+import AsynchronousJobBulkAction from 'c/asynchronousJobBulkAction';
 
 export default class AsynchronousJobActions extends LightningElement {
+    @api hideNew = false;
     deleteNotAllowed = true;
     runNotAllowed = true;
+    editNotAllowed = true;
+    cancelNotAllowed = true;
+    recoverNotAllowed = true;
+    noMatchingJobs = true;
     _selectedRows = [];
+    _matchingFilters;
+
+    get showBulkActions() {
+        return !!this._matchingFilters;
+    }
+
+    @api
+    jobsMatched(filters, total) {
+        // The bulk actions apply to every job matching the filters, not just those loaded into the table.
+        this._matchingFilters = filters;
+        this.noMatchingJobs = !total;
+    }
 
     @api
     rowsSelected(selected) {
         this._selectedRows = selected;
+        this.editNotAllowed = selected.length !== 1 || !this._canRowBeEdited(selected[0]);
+        this.cancelNotAllowed = selected.length === 0 || !selected.every(row => this._canRowBeCancelled(row));
+        this.recoverNotAllowed = selected.length === 0 || !selected.every(row => this._canRowBeRecovered(row));
 
         if (selected.length === 0) {
             this.deleteNotAllowed = true;
@@ -78,6 +105,156 @@ export default class AsynchronousJobActions extends LightningElement {
         );
     }
 
+    async cancelSelected() {
+        this.dispatchEvent(new CustomEvent('startspinner'));
+        const idsToCancel = this._selectedRows.map(row => row.Id);
+        cancelJobs({ jobIds: idsToCancel }).then(
+            () => {
+                this._reset();
+            },
+            (error) => {
+                this._reset();
+
+                this.dispatchEvent(
+                    new ShowToastEvent(
+                        {
+                            title: 'Error',
+                            message: 'Cancel jobs failed, Status: {0}, Exception: {1}',
+                            messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                        }
+                    )
+                );
+            }
+        );
+    }
+
+    async recoverSelected() {
+        this.dispatchEvent(new CustomEvent('startspinner'));
+        const idsToRecover = this._selectedRows.map(row => row.Id);
+        recoverJobs({ jobIds: idsToRecover }).then(
+            () => {
+                this._reset();
+            },
+            (error) => {
+                this._reset();
+
+                this.dispatchEvent(
+                    new ShowToastEvent(
+                        {
+                            title: 'Error',
+                            message: 'Recover jobs failed, Status: {0}, Exception: {1}',
+                            messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                        }
+                    )
+                );
+            }
+        );
+    }
+
+    async rescheduleSelected() {
+        const scheduledRunTime = await AsynchronousJobReschedule.open({
+            size: 'small',
+            description: 'Choose when the jobs are to be run',
+            jobCount: this._selectedRows.length
+        });
+
+        if (!scheduledRunTime) {
+            return;
+        }
+
+        this.dispatchEvent(new CustomEvent('startspinner'));
+        const idsToReschedule = this._selectedRows.map(row => row.Id);
+        rescheduleJobs({ jobIds: idsToReschedule, scheduledRunTime: scheduledRunTime }).then(
+            () => {
+                this._reset();
+            },
+            (error) => {
+                this._reset();
+
+                this.dispatchEvent(
+                    new ShowToastEvent(
+                        {
+                            title: 'Error',
+                            message: 'Reschedule jobs failed, Status: {0}, Exception: {1}',
+                            messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                        }
+                    )
+                );
+            }
+        );
+    }
+
+    async editSelected() {
+        const result = await AsynchronousJobStateEditor.open({
+            size: 'medium',
+            description: 'Edit the state of the job',
+            job: this._selectedRows[0]
+        });
+
+        if (result === 'saved') {
+            this._reset();
+        }
+    }
+
+    async newJob() {
+        const jobId = await AsynchronousJobNew.open({
+            size: 'medium',
+            description: 'Queue a new job'
+        });
+
+        if (jobId) {
+            this._reset();
+        }
+    }
+
+    deleteAllMatching() {
+        this._queueBulkAction('DELETE');
+    }
+
+    runAllMatching() {
+        this._queueBulkAction('RUN');
+    }
+
+    async _queueBulkAction(action) {
+        const jobId = await AsynchronousJobBulkAction.open({
+            size: 'medium',
+            description: 'Confirm the action to apply to every matching job',
+            action: action,
+            filters: this._matchingFilters
+        });
+
+        if (!jobId) {
+            return;
+        }
+
+        this.dispatchEvent(
+            new ShowToastEvent(
+                {
+                    title: 'Success',
+                    variant: 'success',
+                    message: '{0} has been queued to process the matching jobs',
+                    messageData: [ { url: '/' + jobId, label: 'A background job' } ]
+                }
+            )
+        );
+        this._reset();
+    }
+
+    _canRowBeEdited(row) {
+        return row.Status__c === 'FAILED'
+            || row.Status__c === 'CANCELLED'
+            || row.Status__c === 'QUEUED';
+    }
+
+    _canRowBeCancelled(row) {
+        return row.Status__c === 'QUEUED'
+            || row.Status__c === 'RUNNING';
+    }
+
+    _canRowBeRecovered(row) {
+        return !!row.StuckReason;
+    }
+
     _canRowBeRun(row) {
         return row.Status__c === 'SUCCEEDED'
             || row.Status__c === 'FAILED'
@@ -89,6 +266,9 @@ export default class AsynchronousJobActions extends LightningElement {
         this._selectedRows = [];
         this.deleteNotAllowed = true;
         this.runNotAllowed = true;
+        this.editNotAllowed = true;
+        this.cancelNotAllowed = true;
+        this.recoverNotAllowed = true;
         this.dispatchEvent(new CustomEvent('action'));
         this.dispatchEvent(new CustomEvent('stopspinner'));
     }
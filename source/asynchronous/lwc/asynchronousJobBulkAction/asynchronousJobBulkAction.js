@@ -0,0 +1,104 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+import previewBulkAction from '@salesforce/apex/AsynchronousV1.previewBulkAction';
+import queueBulkAction from '@salesforce/apex/AsynchronousV1.queueBulkAction';
+
+const SAMPLE_SIZE = 10;
+
+const ACTIONS = {
+    DELETE: { title: 'Delete All Matching Jobs', verb: 'deleted', label: 'Delete', variant: 'destructive' },
+    RUN: { title: 'Re-run All Matching Jobs', verb: 're-run', label: 'Re-run', variant: 'brand' }
+};
+
+const COLUMNS = [
+    { label: 'Name', fieldName: 'Name' },
+    { label: 'Status', fieldName: 'Status__c' },
+    { label: 'Runnable', fieldName: 'Runnable__c' },
+    { label: 'Reference', fieldName: 'Reference__c' },
+    {
+      label: 'Last Run Time',
+      fieldName: 'LastRunTime__c',
+      type: 'date',
+      typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    }
+];
+
+export default class AsynchronousJobBulkAction extends LightningModal {
+    @api action;
+    @api filters = [];
+
+    columns = COLUMNS;
+    count;
+    jobs = [];
+    errorMessage;
+    showSpinner = false;
+
+    get title() {
+        return ACTIONS[this.action].title;
+    }
+
+    get confirmLabel() {
+        return ACTIONS[this.action].label;
+    }
+
+    get confirmVariant() {
+        return ACTIONS[this.action].variant;
+    }
+
+    get summary() {
+        if (this.count === undefined) {
+            return undefined;
+        }
+
+        return (this.count === 1 ? '1 job' : this.count + ' jobs') + ' will be ' + ACTIONS[this.action].verb
+            + ' in the background.';
+    }
+
+    get sampleLabel() {
+        return this.count > this.jobs.length ? 'The first ' + this.jobs.length + ' jobs' : undefined;
+    }
+
+    get hasJobs() {
+        return this.jobs.length > 0;
+    }
+
+    get confirmNotAllowed() {
+        return !this.count || this.showSpinner;
+    }
+
+    async connectedCallback() {
+        this.showSpinner = true;
+
+        try {
+            const preview = await previewBulkAction({ filters: this.filters, action: this.action, max: SAMPLE_SIZE });
+            this.count = preview.Count;
+            this.jobs = preview.Jobs;
+        } catch (error) {
+            this.errorMessage = 'Preview failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    async confirm() {
+        this.showSpinner = true;
+
+        try {
+            // The jobs are counted again when the action is queued, as they may have changed since the preview.
+            const jobId = await queueBulkAction({ filters: this.filters, action: this.action });
+            this.close(jobId);
+        } catch (error) {
+            this.errorMessage = 'Queue bulk action failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+}
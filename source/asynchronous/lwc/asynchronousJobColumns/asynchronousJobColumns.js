@@ -0,0 +1,78 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+
+export const RESET = 'reset';
+
+export default class AsynchronousJobColumns extends LightningModal {
+    errorMessage;
+
+    _columns = [];
+
+    @api
+    get columns() {
+        return this._columns;
+    }
+
+    set columns(value) {
+        this._columns = (value || []).map(column => ({ ...column }));
+    }
+
+    get rows() {
+        const last = this._columns.length - 1;
+
+        return this._columns.map((column, index) => ({
+            ...column,
+            isFirst: index === 0,
+            isLast: index === last
+        }));
+    }
+
+    visibilityChanged(event) {
+        const fieldName = event.target.dataset.field;
+        this._columns = this._columns.map(column =>
+            column.fieldName === fieldName ? { ...column, visible: event.target.checked } : column
+        );
+    }
+
+    moveUp(event) {
+        this._move(event.target.dataset.field, -1);
+    }
+
+    moveDown(event) {
+        this._move(event.target.dataset.field, 1);
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    reset() {
+        this.close(RESET);
+    }
+
+    save() {
+        if (!this._columns.some(column => column.visible)) {
+            this.errorMessage = 'Choose at least one column to show.';
+            return;
+        }
+
+        this.close(this._columns);
+    }
+
+    _move(fieldName, by) {
+        const columns = [ ...this._columns ];
+        const from = columns.findIndex(column => column.fieldName === fieldName);
+        const to = from + by;
+
+        if (from < 0 || to < 0 || to >= columns.length) {
+            return;
+        }
+
+        [ columns[from], columns[to] ] = [ columns[to], columns[from] ];
+        this._columns = columns;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getJobExceptions from '@salesforce/apex/AsynchronousV1.getJobExceptions';
+import getJobState from '@salesforce/apex/AsynchronousV1.getJobState';
+
+const STATE_COLUMNS = [
+    { label: 'Key', fieldName: 'key', wrapText: true },
+    { label: 'Value', fieldName: 'value', wrapText: true }
+];
+
+export default class AsynchronousJobDetail extends LightningElement {
+    exceptions = [];
+    collapsedSections = [];
+    state = {};
+    stateColumns = STATE_COLUMNS;
+    stateSearchTerm = '';
+    showRawState = false;
+    showSpinner = false;
+    _job = {};
+
+    // Set when the detail is shown on its own, rather than as a pane that can be closed.
+    @api hideClose = false;
+
+    @api set job(value) {
+        const previous = this._job;
+        this._job = value || {};
+
+        // A change of status may mean a new exception has been recorded.
+        if (this._job.Id && (this._job.Id !== previous.Id || this._job.Status__c !== previous.Status__c)) {
+            this.loadExceptions();
+            this.loadState();
+        }
+    }
+    get job() {
+        return this._job;
+    }
+
+    get title() {
+        return this._job.Name || 'Job';
+    }
+
+    get hasExceptions() {
+        return this.exceptions.length > 0;
+    }
+
+    get stateRows() {
+        const term = this.stateSearchTerm.toLowerCase();
+
+        return Object.keys(this.state)
+            .sort()
+            .map(key => ({ key: key, value: this.state[key] }))
+            .filter(row => !term
+                || row.key.toLowerCase().includes(term)
+                || (row.value ?? '').toLowerCase().includes(term));
+    }
+
+    get hasState() {
+        return Object.keys(this.state).length > 0;
+    }
+
+    get rawState() {
+        return JSON.stringify(this.state, null, 2);
+    }
+
+    get tableVariant() {
+        return this.showRawState ? 'neutral' : 'brand';
+    }
+
+    get jsonVariant() {
+        return this.showRawState ? 'brand' : 'neutral';
+    }
+
+    @api
+    async loadExceptions() {
+        this.showSpinner = true;
+
+        try {
+            this.exceptions = await getJobExceptions({ jobId: this._job.Id });
+        } catch (error) {
+            this.exceptions = [];
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Get job exceptions failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    @api
+    async loadState() {
+        try {
+            this.state = await getJobState({ jobId: this._job.Id }) || {};
+        } catch (error) {
+            this.state = {};
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Get job state failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        }
+    }
+
+    stateSearchChanged(event) {
+        this.stateSearchTerm = event.target.value || '';
+    }
+
+    showStateTable() {
+        this.showRawState = false;
+    }
+
+    showStateJson() {
+        this.showRawState = true;
+    }
+
+    close() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
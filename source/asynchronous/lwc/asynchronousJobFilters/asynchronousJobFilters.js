@@ -3,9 +3,23 @@
  */
 
 import {LightningElement, api} from 'lwc';
+import canViewAllJobs from '@salesforce/apex/AsynchronousV1.canViewAllJobs';
 
 export default class AsynchronousJobFilters extends LightningElement {
     @api refreshRate;
+    // Without a scope the server returns the user's own jobs, but the scope is always sent to make the filter explicit.
+    scope = 'MINE';
+    scopeOption = 'MINE';
+    ownerId;
+    runnableSearchTerm = '';
+    referenceSearchTerm = '';
+
+    _applying = false;
+    _applied = false;
+    scopeOptions = [
+        { value: 'MINE', label: 'My jobs' },
+        { value: 'OWNER', label: 'Owner' }
+    ];
 
     statusOptions = [
         { value: 'QUEUED', label: 'Queued', checked: true },
@@ -16,18 +30,81 @@ export default class AsynchronousJobFilters extends LightningElement {
         { value: 'CANCELLED', label: 'Cancelled' },
     ];
 
+    get showOwnerPicker() {
+        return this.scopeOption === 'OWNER';
+    }
+
+    async connectedCallback() {
+        try {
+            if (await canViewAllJobs()) {
+                this.scopeOptions = [ ...this.scopeOptions, { value: 'ALL', label: 'All jobs' } ];
+
+                // A user that can view all jobs is shown them, unless a view has chosen the scope already.
+                if (!this._applied) {
+                    this.scopeOption = 'ALL';
+                    this._setScope('ALL');
+                }
+            }
+        } catch(error) {
+            // Without the check, only the options available to every user are offered.
+        }
+    }
+
+    scopeOptionChange(event) {
+        this.scopeOption = event.detail.value;
+
+        if (this.scopeOption !== 'OWNER') {
+            this._setScope(this.scopeOption);
+        }
+    }
+
+    ownerChange(event) {
+        this.ownerId = event.detail.recordId;
+
+        if (event.detail.recordId) {
+            this._setScope(event.detail.recordId);
+        }
+    }
+
     setRunnableSearchTerm(event) {
+        this.runnableSearchTerm = event.detail.value;
         this.dispatchEvent(new CustomEvent('change', { detail: { type: 'runnable', value: event.detail.value } }));
     }
 
     setReferenceSearchTerm(event) {
+        this.referenceSearchTerm = event.detail.value;
         this.dispatchEvent(new CustomEvent('change', { detail: { type: 'reference', value: event.detail.value } }));
     }
 
+    setDateRange(event) {
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: {
+                type: 'dateRange',
+                field: event.detail.name,
+                value: { from: event.detail.from, to: event.detail.to, preset: event.detail.preset }
+            }
+        }));
+    }
+
     filterStatusChange(event) {
+        if (this._applying) {
+            return;
+        }
+
         this.dispatchEvent(new CustomEvent('change', { detail: { type: 'status', value: event.detail.selected } }));
     }
 
+    statusSelected(event) {
+        const statusGroup = this.template.querySelector('c-inline-checkbox-group');
+        const status = event.detail.status;
+
+        statusGroup.select(event.detail.add ? [ ...new Set([ ...statusGroup.selected, status ]) ] : [ status ]);
+    }
+
+    exportJobs(event) {
+        this.dispatchEvent(new CustomEvent('export', { detail: { format: event.detail.value } }));
+    }
+
     clearSelected() {
         this.dispatchEvent(new CustomEvent('clearselected'));
     }
@@ -40,10 +117,64 @@ export default class AsynchronousJobFilters extends LightningElement {
         this.dispatchEvent(new CustomEvent('stopspinner'));
     }
 
+    _setScope(scope) {
+        this.scope = scope;
+        this.dispatchEvent(new CustomEvent('change', { detail: { type: 'scope', value: scope } }));
+    }
+
+    @api
+    applyFilters(filters) {
+        // The job list has already been given the filters, so no change events are sent for them.
+        this._applying = true;
+        this._applied = true;
+
+        try {
+            this.template
+                .querySelector('c-inline-checkbox-group')
+                .select(filters.statuses);
+        } finally {
+            this._applying = false;
+        }
+
+        this.runnableSearchTerm = filters.runnable;
+        this.referenceSearchTerm = filters.reference;
+
+        this.template.querySelectorAll('c-date-time-range').forEach(range => {
+            range.applyRange(filters.dateRanges[range.name]);
+        });
+
+        if (!filters.scope) {
+            // The job list treats a view without a scope as being for the user's own jobs.
+            this.scopeOption = 'MINE';
+            this.scope = 'MINE';
+        } else if (filters.scope === 'MINE' || filters.scope === 'ALL') {
+            this.scopeOption = filters.scope;
+            this.scope = filters.scope;
+        } else {
+            this.scopeOption = 'OWNER';
+            this.ownerId = filters.scope;
+            this.scope = filters.scope;
+        }
+    }
+
     @api
     rowsSelected(selected) {
         this.template
             .querySelector('c-asynchronous-job-actions')
             .rowsSelected(selected);
     }
+
+    @api
+    jobsMatched(filters, total) {
+        this.template
+            .querySelector('c-asynchronous-job-actions')
+            .jobsMatched(filters, total);
+    }
+
+    @api
+    jobsChanged(changes) {
+        this.template
+            .querySelector('c-asynchronous-job-totals')
+            .jobsChanged(changes);
+    }
 }
\ No newline at end of file
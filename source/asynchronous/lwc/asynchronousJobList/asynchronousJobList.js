@@ -3,128 +3,673 @@
  */
 
 import { LightningElement } from 'lwc';
-import getJobs from '@salesforce/apex/AsynchronousV1.getJobs';
+import getJobsAfter from '@salesforce/apex/AsynchronousV1.getJobsAfter';
+import countJobs from '@salesforce/apex/AsynchronousV1.countJobs';
+import getChangesChannel from '@salesforce/apex/AsynchronousV1.getChangesChannel';
+import getPreference from '@salesforce/apex/AsynchronousV1.getPreference';
+import savePreference from '@salesforce/apex/AsynchronousV1.savePreference';
+import AsynchronousJobColumns, { RESET } from 'c/asynchronousJobColumns';
+import { presetRange } from 'c/dateTimeRange';
 import {ShowToastEvent} from "lightning/platformShowToastEvent";
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
+import userId from '@salesforce/user/Id';
 
-const MAX_TO_FETCH = 200;
+const PAGE_SIZE = 200;
 const REFRESH_RATE = 2500;
 
+// Whilst changes are being streamed, a full refresh is only needed to pick up run times and any missed changes.
+const STREAMING_REFRESH_RATE = 30000;
+
+// The total is only counted this often by the periodic refresh, as it is a query over every matching job.
+const COUNT_REFRESH_RATE = 30000;
+
+// Jobs with these statuses do not change unless acted on, so are not re-read by the periodic refresh.
+const FINISHED_STATUSES = [ 'SUCCEEDED', 'FAILED', 'CANCELLED' ];
+
+// Changes arriving within this period are applied together.
+const CHANGE_DELAY = 500;
+
+// The jobs are only searched for once the user stops typing for this period.
+const SEARCH_DELAY = 500;
+
+const EXPORT_PAGE_SIZE = 2000;
+
+const EXPORT_FIELDS = [
+    'Id',
+    'Name',
+    'Reference__c',
+    'Status__c',
+    'ScheduledRunTime__c',
+    'LastRunTime__c',
+    'RunTime__c',
+    'StuckReason',
+    'RetryNumber__c',
+    'MaximumRetries__c',
+    'RetriesRemaining__c',
+    'ApexJobId__c',
+    'Owner',
+    'Runnable__c'
+];
+
+// Columns whose values are not sorted by the field they are shown in.
+const SORT_FIELDS = { jobUrl: 'Name' };
+
+// Jobs with the same value in the sorted column are ordered by when they are scheduled to run.
+const SECONDARY_SORT = 'ScheduledRunTime__c asc';
+
+const DEFAULT_STATUSES = [ 'RUNNING', 'QUEUED' ];
+
+// Without a scope the server returns the user's own jobs, but the scope is always sent so the list states what it shows.
+const DEFAULT_SCOPE = 'MINE';
+
+const DEFAULT_SORTED_BY = 'ScheduledRunTime__c';
+const DEFAULT_SORTED_DIRECTION = 'asc';
+
+// The columns, widths and sort order chosen by the user are saved under this preference.
+const LAYOUT_PREFERENCE = 'asynchronousJobList.layout';
+
+// Resizing a column fires many events, so the layout is only saved once they stop.
+const LAYOUT_SAVE_DELAY = 1000;
+
+// Columns that are only shown once the user chooses them.
+const OPTIONAL_COLUMNS = [ 'RetryInterval__c', 'MaximumRetries__c', 'CreatedDate' ];
+
+const COLUMNS = [
+    {
+      label: 'Name',
+      fieldName: 'jobUrl',
+      type: 'url',
+      initialWidth: 190,
+      sortable: true,
+      typeAttributes: {
+        label: { fieldName: 'Name' },
+        target: '_blank',
+        tooltip: 'View'
+      }
+    },
+    { label: 'Reference', fieldName: 'Reference__c', initialWidth: 180, sortable: true },
+    { label: 'Scheduled Run Time', fieldName: 'ScheduledRunTime__c', type: 'datetime', initialWidth: 200, sortable: true },
+    { label: 'Last Run Time', fieldName: 'LastRunTime__c', type: 'datetime', initialWidth: 200, sortable: true },
+    {
+      label: 'Active (ms)',
+      fieldName: 'RunTime__c',
+      initialWidth: 120,
+      sortable: true,
+      cellAttributes: {
+        iconName: { fieldName: 'stuckIcon' },
+        iconAlternativeText: { fieldName: 'StuckReason' },
+        class: { fieldName: 'stuckClass' }
+      }
+    },
+    {
+      label: 'Status',
+      fieldName: 'Status__c',
+      initialWidth: 120,
+      sortable: true,
+      cellAttributes: {
+        iconName: { fieldName: 'selectionIcon' },
+        iconAlternativeText: { fieldName: 'selectionNote' },
+        iconPosition: 'right',
+        class: { fieldName: 'selectionClass' }
+      }
+    },
+    { label: 'Retries', fieldName: 'RetriesRemaining__c', initialWidth: 120, sortable: true },
+    { label: 'Apex Job', fieldName: 'ApexJobId__c', initialWidth: 150, sortable: true },
+    { label: 'Owner', fieldName: 'Owner', initialWidth: 150, sortable: true },
+    { label: 'Runnable', fieldName: 'Runnable__c', initialWidth: 400, sortable: true },
+    { label: 'Retry Interval (ms)', fieldName: 'RetryInterval__c', initialWidth: 150, sortable: true },
+    { label: 'Maximum Retries', fieldName: 'MaximumRetries__c', initialWidth: 150, sortable: true },
+    { label: 'Created Date', fieldName: 'CreatedDate', type: 'datetime', initialWidth: 200, sortable: true }
+];
+
+const ACTION_COLUMN = {
+    type: 'action',
+    typeAttributes: {
+      rowActions: [ { label: 'View Details', name: 'details' } ]
+    }
+};
+
 export default class AsynchronousJobList extends LightningElement {
     data = [];
-    sortedBy = 'ScheduledRunTime__c';
-    sortedDirection = 'asc';
+    sortedBy = DEFAULT_SORTED_BY;
+    sortedDirection = DEFAULT_SORTED_DIRECTION;
     minColumnWidth = 120;
-    maxColumnWidth = 275;
+    maxColumnWidth = 1000;
     showSpinner = false;
     refreshRate = REFRESH_RATE;
+    enableInfiniteLoading = true;
+    totalJobs = 0;
+    filterError;
+
+    selectedIds = [];
 
     _selectedRows= [];
-    _statusFilter = [ 'RUNNING', 'QUEUED' ];
+    _selectedStatuses = new Map();
+    _vanishedRows = [];
+    _statusFilter = DEFAULT_STATUSES;
     _runnableSearchTerm = '';
     _referenceSearchTerm = '';
+    _scope = DEFAULT_SCOPE;
+    _dateRanges = {};
     _timerId;
+    _loading = false;
+    _reloadPending = false;
+    _countedAt = 0;
+    _disconnected = false;
+    _subscription;
+    _pendingChanges = [];
+    _changesTimerId;
+    _searchTimerId;
+    detailJob;
 
-    columns = [
-        {
-          label: 'Name',
-          fieldName: 'jobUrl',
-          type: 'url',
-          initialWidth: 190,
-          typeAttributes: {
-            label: { fieldName: 'Name' },
-            target: '_blank',
-            tooltip: 'View'
-          }
-        },
-        { label: 'Reference', fieldName: 'Reference__c', initialWidth: 180 },
-        { label: 'Scheduled Run Time', fieldName: 'ScheduledRunTime__c', type: 'datetime', initialWidth: 200, sortable: true },
-        { label: 'Last Run Time', fieldName: 'LastRunTime__c', type: 'datetime', initialWidth: 200, sortable: true },
-        { label: 'Active (ms)', fieldName: 'RunTime__c', initialWidth: 120 },
-        { label: 'Status', fieldName: 'Status__c', initialWidth: 120, sortable: true },
-        { label: 'Retries', fieldName: 'RetriesRemaining__c', initialWidth: 120 },
-        { label: 'Apex Job', fieldName: 'ApexJobId__c', initialWidth: 150 },
-        { label: 'Owner', fieldName: 'Owner', initialWidth: 150 },
-        { label: 'Runnable', fieldName: 'Runnable__c', fixedWidth: 1200 }
-    ];
+    columns = [];
+
+    _layout = this._defaultLayout();
+    _layoutTimerId;
+    _viewApplied = false;
+
+    get tableData() {
+        // Selected jobs that no longer match the filters are kept until they are de-selected.
+        const loaded = new Set(this.data.map(record => record.Id));
+        return [ ...this.data, ...this._vanishedRows.filter(record => !loaded.has(record.Id)) ];
+    }
+
+    get showDetail() {
+        return !!this.detailJob;
+    }
+
+    get viewDefinition() {
+        return {
+            filters: {
+                statuses: this._statusFilter,
+                runnable: this._runnableSearchTerm,
+                reference: this._referenceSearchTerm,
+                scope: this._scope,
+                dateRanges: this._dateRanges
+            },
+            sortedBy: this.sortedBy,
+            sortedDirection: this.sortedDirection,
+            columns: this._layout.columns
+        };
+    }
+
+    get jobCountLabel() {
+        return 'Showing ' + this.data.length + ' of ' + this.totalJobs + ' jobs';
+    }
 
     async connectedCallback() {
-        this.data = await this.getData(true);
-        this._timerId = window.setTimeout(() => {  this.refresh() }, this.refreshRate);
+        this._disconnected = false;
+        await this._loadLayout();
+        await this.reload(true);
+        this._scheduleRefresh();
+        await this.subscribeToChanges();
     }
 
     disconnectedCallback() {
+        this._disconnected = true;
+
         if (this._timerId) {
             window.clearTimeout(this._timerId);
+            this._timerId = undefined;
+        }
+
+        if (this._changesTimerId) {
+            window.clearTimeout(this._changesTimerId);
+        }
+
+        if (this._searchTimerId) {
+            window.clearTimeout(this._searchTimerId);
+        }
+
+        if (this._layoutTimerId) {
+            window.clearTimeout(this._layoutTimerId);
+            this.saveLayout();
+        }
+
+        if (this._subscription) {
+            unsubscribe(this._subscription);
+            this._subscription = undefined;
+        }
+    }
+
+    async subscribeToChanges() {
+        try {
+            if (!await isEmpEnabled()) {
+                return;
+            }
+
+            onError(() => {
+                // Fall back to polling.
+                this._subscription = undefined;
+                this.refreshRate = REFRESH_RATE;
+            });
+
+            const channel = await getChangesChannel();
+            const subscription = await subscribe(channel, -1, message => this.jobChanged(message.data.payload));
+
+            if (this._disconnected) {
+                // The component was removed whilst subscribing.
+                unsubscribe(subscription);
+                return;
+            }
+
+            this._subscription = subscription;
+            this.refreshRate = STREAMING_REFRESH_RATE;
+
+        } catch(error) {
+            // Streaming is unavailable, so continue polling.
+            this._subscription = undefined;
+            this.refreshRate = REFRESH_RATE;
+        }
+    }
+
+    jobChanged(payload) {
+        const change = this._fromPayload(payload);
+
+        // Every user receives every change. Changes to jobs outside the scope cannot affect the table, so they are
+        // not worth a query.
+        if (!this._inScope(change)) {
+            return;
+        }
+
+        this._pendingChanges.push(change);
+
+        if (!this._changesTimerId) {
+            this._changesTimerId = window.setTimeout(() => {  this.applyChanges() }, CHANGE_DELAY);
+        }
+    }
+
+    async applyChanges() {
+        this._changesTimerId = undefined;
+
+        if (this._disconnected) {
+            return;
+        }
+
+        if (this._loading) {
+            // Try again once the table can be updated.
+            this._changesTimerId = window.setTimeout(() => {  this.applyChanges() }, CHANGE_DELAY);
+            return;
+        }
+
+        const changes = this._pendingChanges;
+        this._pendingChanges = [];
+
+        this.template
+            .querySelector('c-asynchronous-job-filters')
+            .jobsChanged(changes);
+
+        const changedIds = [ ...new Set(changes.map(change => change.JobId__c)) ];
+        this._loading = true;
+
+        try {
+            const [ records, total ] = await Promise.all([
+                this.getData(false, undefined, changedIds.length, [ ...this._buildFilters(), { field: 'Id', operator: 'IN', value: changedIds } ]),
+                this.getTotalJobs()
+            ]);
+
+            if (!records) {
+                return;
+            }
+
+            const loaded = new Set(this.data.map(record => record.Id));
+            if (records.some(record => !loaded.has(record.Id))) {
+                // A job has started matching the filters, so its position in the table has to come from the server.
+                await this._updateLoaded(false);
+                return;
+            }
+
+            const matched = new Map(records.map(record => [ record.Id, record ]));
+            this.data = this.data
+                .filter(record => !changedIds.includes(record.Id) || matched.has(record.Id))
+                .map(record => matched.get(record.Id) || record);
+            this._refreshDetailJob();
+            this._refreshSelection();
+
+            if (total !== undefined) {
+                this.totalJobs = total;
+            }
+
+            this._updateInfiniteLoading();
+        } finally {
+            this._finishLoading();
         }
     }
 
     sortData(event){
         this.sortedBy = event.detail.fieldName;
         this.sortedDirection = event.detail.sortDirection;
+        this._reloadNow();
+        this.saveLayout();
+    }
+
+    columnResized(event) {
+        if (!event.detail.isUserTriggered) {
+            return;
+        }
+
+        // The widths are in the order the columns are shown, which excludes the hidden columns.
+        const visible = this._layout.columns.filter(column => column.visible);
+        const widths = new Map(visible.map((column, index) => [ column.fieldName, event.detail.columnWidths[index] ]));
+
+        this._layout = {
+            ...this._layout,
+            columns: this._layout.columns.map(column =>
+                widths.get(column.fieldName) ? { ...column, width: widths.get(column.fieldName) } : column
+            )
+        };
+
+        if (this._layoutTimerId) {
+            window.clearTimeout(this._layoutTimerId);
+        }
+
+        this._layoutTimerId = window.setTimeout(() => {  this.saveLayout() }, LAYOUT_SAVE_DELAY);
+    }
+
+    async chooseColumns() {
+        const labels = new Map(COLUMNS.map(column => [ column.fieldName, column.label ]));
+        const columns = await AsynchronousJobColumns.open({
+            size: 'small',
+            description: 'Choose the columns to show and their order',
+            columns: this._layout.columns.map(column => ({
+                fieldName: column.fieldName,
+                label: labels.get(column.fieldName),
+                visible: column.visible
+            }))
+        });
+
+        if (!columns) {
+            return;
+        }
+
+        if (columns === RESET) {
+            this._layout = this._defaultLayout();
+            this.sortedBy = DEFAULT_SORTED_BY;
+            this.sortedDirection = DEFAULT_SORTED_DIRECTION;
+            this._reloadNow();
+        } else {
+            const previous = new Map(this._layout.columns.map(column => [ column.fieldName, column ]));
+            this._layout = {
+                ...this._layout,
+                columns: columns.map(column => ({ ...previous.get(column.fieldName), visible: column.visible }))
+            };
+        }
+
+        this._applyLayout();
+        this.saveLayout();
+    }
+
+    async saveLayout() {
+        this._layoutTimerId = undefined;
+
+        const layout = {
+            columns: this._layout.columns,
+            sortedBy: this.sortedBy,
+            sortedDirection: this.sortedDirection
+        };
+
+        try {
+            await savePreference({ name: LAYOUT_PREFERENCE, value: JSON.stringify(layout) });
+
+        } catch(error) {
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        variant: 'error',
+                        message: 'Save layout failed, Exception: {0}',
+                        messageData: [ error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        }
     }
 
     rowsSelected(event) {
         const selected = event.detail.selectedRows;
+        const statuses = new Map();
+
+        // The status a job had when it was selected is kept, so a later change to it can be flagged.
+        selected.forEach(row => {
+            statuses.set(row.Id, this._selectedStatuses.get(row.Id) ?? row.Status__c);
+        });
+
+        this._selectedStatuses = statuses;
+        this._vanishedRows = this._vanishedRows.filter(row => statuses.has(row.Id));
+        this._selectedRows = selected;
+        this.selectedIds = selected.map(row => row.Id);
+        this.data = this.data.map(record => this._flagSelection(record));
+
         this.template
             .querySelector('c-asynchronous-job-filters')
             .rowsSelected(selected);
-        this._selectedRows = selected;
+    }
+
+    rowAction(event) {
+        if (event.detail.action.name === 'details') {
+            this.detailJob = event.detail.row;
+        }
+    }
+
+    closeDetail() {
+        this.detailJob = undefined;
     }
 
     filterChanged(event) {
         if (event.detail.type === 'status') {
             this._statusFilter = event.detail.value;
+            this._reloadNow();
+        } else if (event.detail.type === 'scope') {
+            this._scope = event.detail.value;
+            this._reloadNow();
+        } else if (event.detail.type === 'dateRange') {
+            const ranges = { ...this._dateRanges };
+            if (event.detail.value.from || event.detail.value.to) {
+                ranges[event.detail.field] = event.detail.value;
+            } else {
+                delete ranges[event.detail.field];
+            }
+
+            this._dateRanges = ranges;
+            this._reloadNow();
         } else if (event.detail.type === 'reference') {
             this._referenceSearchTerm = event.detail.value;
+            this._reloadSoon();
         } else if (event.detail.type === 'runnable') {
             this._runnableSearchTerm = event.detail.value;
+            this._reloadSoon();
+        }
+    }
+
+    viewSelected(event) {
+        const definition = event.detail.definition;
+        const filters = definition.filters || {};
+
+        this._statusFilter = filters.statuses || DEFAULT_STATUSES;
+        this._runnableSearchTerm = filters.runnable || '';
+        this._referenceSearchTerm = filters.reference || '';
+        this._scope = filters.scope || DEFAULT_SCOPE;
+
+        // A range chosen from a preset is recalculated, so that "Last hour" is always the hour before now.
+        this._dateRanges = Object.fromEntries(
+            Object.entries(filters.dateRanges || {}).map(([ field, range ]) => [
+                field,
+                range.preset ? { ...presetRange(range.preset), preset: range.preset } : range
+            ])
+        );
+
+        this.template
+            .querySelector('c-asynchronous-job-filters')
+            .applyFilters({
+                statuses: this._statusFilter,
+                runnable: this._runnableSearchTerm,
+                reference: this._referenceSearchTerm,
+                scope: this._scope,
+                dateRanges: this._dateRanges
+            });
+
+        this._viewApplied = true;
+        this._restoreLayout(definition);
+        this._applyLayout();
+        this._reloadNow();
+    }
+
+    async exportJobs(event) {
+        const format = event.detail.format;
+        this.showSpinner = true;
+
+        // The export can take many queries, which the periodic refresh would otherwise run alongside.
+        this._loading = true;
+
+        try {
+            const jobs = await this._fetchAllJobs();
+            if (!jobs) {
+                return;
+            }
+
+            const rows = jobs.map(job => Object.fromEntries(EXPORT_FIELDS.map(field => [ field, job[field] ])));
+
+            if (format === 'json') {
+                this._download(JSON.stringify(rows, null, 2), 'application/json', 'jobs.json');
+            } else {
+                this._download(this._toCsv(rows), 'text/csv', 'jobs.csv');
+            }
+        } finally {
+            this.showSpinner = false;
+            this._finishLoading();
         }
     }
 
     async refresh(withSpinner) {
-        if (this._selectedRows.length === 0) {
-            this.data = await this.getData(withSpinner);
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+            this._timerId = undefined;
+        }
+
+        if (this._loading) {
+            // The rows being loaded may be for filters that have since changed, so reload once they arrive.
+            this._reloadPending = true;
+            return;
         }
 
-        this._timerId = window.setTimeout(() => {  this.refresh(false) }, this.refreshRate);
+        try {
+            await this.reload(withSpinner);
+        } finally {
+            this._scheduleRefresh();
+        }
     }
 
-    async getData(withSpinner) {
-        this.showSpinner = true & withSpinner;
+    async poll() {
+        this._timerId = undefined;
+
+        if (this._loading) {
+            // Whatever is loading will be as fresh, so wait for the next tick.
+            this._scheduleRefresh();
+            return;
+        }
+
+        this._loading = true;
 
         try {
-            const filters = this._referenceSearchTerm ? {
-                Status__c: this._statusFilter,
-                Runnable__c: '%' + this._runnableSearchTerm + '%',
-                Reference__c: '%' + this._referenceSearchTerm + '%'
-            } : {
-                Status__c: this._statusFilter,
-                Runnable__c: '%' + this._runnableSearchTerm + '%'
-            };
+            await this._updateLoaded(Date.now() - this._countedAt >= COUNT_REFRESH_RATE);
+        } finally {
+            this._finishLoading();
+            this._scheduleRefresh();
+        }
+    }
+
+    async reload(withSpinner) {
+        this._loading = true;
+
+        try {
+            const [ records, total ] = await Promise.all([
+                this.getData(withSpinner, undefined, PAGE_SIZE),
+                this.getTotalJobs()
+            ]);
+
+            if (records) {
+                this.data = records;
+                this._refreshDetailJob();
+                this._refreshSelection();
+            }
+
+            if (total !== undefined) {
+                this.totalJobs = total;
+
+                this.template
+                    .querySelector('c-asynchronous-job-filters')
+                    .jobsMatched(this._buildFilters(), total);
+            }
+
+            this._updateInfiniteLoading();
+        } finally {
+            this._finishLoading();
+        }
+    }
+
+    async loadMoreData(event) {
+        if (this._loading || !this.enableInfiniteLoading) {
+            return;
+        }
+
+        const datatable = event.target;
+        datatable.isLoading = true;
+        this._loading = true;
+
+        try {
+            const records = await this.getData(false, this.data[this.data.length - 1]?.Id, PAGE_SIZE);
 
+            if (records) {
+                const loaded = new Set(this.data.map(record => record.Id));
+                this.data = [ ...this.data, ...records.filter(record => !loaded.has(record.Id)) ];
+                this._refreshSelection();
+            }
+
+            this._updateInfiniteLoading(records);
+        } finally {
+            datatable.isLoading = false;
+            this._finishLoading();
+        }
+    }
+
+    async getTotalJobs() {
+        try {
+            const total = await countJobs({ filters: this._buildFilters() });
+            this._countedAt = Date.now();
+            return total;
+
+        } catch(error) {
+            // An invalid filter is reported by getJobsAfter as well, so the error is shown in the same place.
+            this.filterError = 'Count jobs failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        }
+    }
+
+    async getData(withSpinner, afterId, max, filters = this._buildFilters()) {
+        this.showSpinner = true & withSpinner;
+
+        try {
             try {
-                const records = await getJobs({
+                // Each page follows the last job of the one before, so there is no limit on how far the user can scroll.
+                const records = await getJobsAfter({
                     filters: filters,
-                    ordering: this.sortedBy + ' ' + this.sortedDirection,
-                    offset: 0,
-                    max: MAX_TO_FETCH
+                    ordering: this._buildOrdering(),
+                    afterId: afterId,
+                    max: max
                 });
 
+                this.filterError = undefined;
+
+                // The server gives a StuckReason for any job it thinks is stuck.
                 return records.map(record => ({
                     ...record,
-                    jobUrl: '/' + record.Id
+                    jobUrl: '/' + record.Id,
+                    stuckIcon: record.StuckReason ? 'utility:clock' : undefined,
+                    stuckClass: record.StuckReason ? 'slds-text-color_error' : undefined
                 }));
 
             } catch(error) {
-                this.dispatchEvent(
-                    new ShowToastEvent(
-                        {
-                            title: 'Error',
-                            message: 'Get jobs failed, Status: {0}, Exception: {1}',
-                            messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
-                        }
-                    )
-                );
+                // Shown inline, rather than as a toast, as the error is repeated by every refresh until it is fixed.
+                this.filterError = 'Get jobs failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
             }
 
         } finally {
@@ -132,15 +677,315 @@ export default class AsynchronousJobList extends LightningElement {
         }
     }
 
-    clearSelectedRows() {
-        this._selectedRows = [];
-        this.template.querySelector('lightning-datatable').selectedRows = [];
+    async _fetchAllJobs() {
+        const jobs = [];
+
+        for (;;) {
+            const page = await this.getData(true, jobs[jobs.length - 1]?.Id, EXPORT_PAGE_SIZE);
+            if (!page) {
+                return undefined;
+            }
+
+            jobs.push(...page);
+
+            if (page.length < EXPORT_PAGE_SIZE) {
+                return jobs;
+            }
+        }
+    }
+
+    _toCsv(rows) {
+        const escape = value => {
+            let text = value === undefined || value === null ? '' : '' + value;
+
+            // A spreadsheet would run text starting with any of these as a formula. Numbers are left as numbers.
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = "'" + text;
+            }
+
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+
+        return [
+            EXPORT_FIELDS.join(','),
+            ...rows.map(row => EXPORT_FIELDS.map(field => escape(row[field])).join(','))
+        ].join('\r\n');
+    }
+
+    _download(content, type, fileName) {
+        const link = document.createElement('a');
+        link.href = 'data:' + type + ';charset=utf-8,' + encodeURIComponent(content);
+        link.download = fileName;
+        link.click();
+    }
+
+    _fromPayload(payload) {
+        const change = {};
+
+        // Remove any namespace from the field names.
+        Object.keys(payload).forEach(field => {
+            change[field.replace(/^[A-Za-z0-9]+__(?=\w+__c$)/, '')] = payload[field];
+        });
+
+        return change;
+    }
+
+    _inScope(change) {
+        if (this._scope === 'ALL') {
+            return true;
+        }
+
+        return change.JobOwnerId__c === (this._scope === 'MINE' ? userId : this._scope);
+    }
+
+    _refreshSelection() {
+        if (this._selectedStatuses.size === 0) {
+            return;
+        }
+
+        this.data = this.data.map(record => this._flagSelection(record));
+
+        const loaded = new Map(this.data.map(record => [ record.Id, record ]));
+        const previous = new Map([ ...this._selectedRows, ...this._vanishedRows ].map(row => [ row.Id, row ]));
+        const selected = [];
+        const vanished = [];
+
+        this._selectedStatuses.forEach((status, id) => {
+            if (loaded.has(id)) {
+                selected.push(loaded.get(id));
+            } else if (previous.has(id)) {
+                const row = {
+                    ...previous.get(id),
+                    selectionIcon: 'utility:warning',
+                    selectionNote: 'The job no longer matches the filters or has been deleted',
+                    selectionClass: 'slds-text-color_error'
+                };
+                selected.push(row);
+                vanished.push(row);
+            }
+        });
+
+        this._selectedRows = selected;
+        this._vanishedRows = vanished;
+        this.selectedIds = selected.map(row => row.Id);
+
+        // The rows may have changed status, so the actions allowed on them must be re-checked.
+        this.template
+            .querySelector('c-asynchronous-job-filters')
+            .rowsSelected(selected);
+    }
+
+    _flagSelection(record) {
+        const status = this._selectedStatuses.get(record.Id);
 
+        if (status !== undefined && status !== record.Status__c) {
+            return {
+                ...record,
+                selectionIcon: 'utility:warning',
+                selectionNote: 'The status of the job has changed from ' + status,
+                selectionClass: 'slds-text-color_error'
+            };
+        }
+
+        return {
+            ...record,
+            selectionIcon: undefined,
+            selectionNote: undefined,
+            selectionClass: undefined
+        };
+    }
+
+    _refreshDetailJob() {
+        if (this.detailJob) {
+            this.detailJob = this.data.find(record => record.Id === this.detailJob.Id) || this.detailJob;
+        }
+    }
+
+    _buildFilters() {
+        const filters = [
+            { field: 'Status__c', operator: 'IN', value: this._statusFilter },
+            { field: 'Runnable__c', operator: 'LIKE', value: '%' + this._runnableSearchTerm + '%' }
+        ];
+
+        if (this._referenceSearchTerm) {
+            filters.push({ field: 'Reference__c', operator: 'LIKE', value: '%' + this._referenceSearchTerm + '%' });
+        }
+
+        Object.entries(this._dateRanges).forEach(([ field, range ]) => {
+            if (range.from) {
+                filters.push({ field: field, operator: '>=', value: range.from });
+            }
+
+            if (range.to) {
+                filters.push({ field: field, operator: '<=', value: range.to });
+            }
+        });
+
+        filters.push({ field: 'Scope', operator: '=', value: this._scope });
+
+        return filters;
+    }
+
+    async _loadLayout() {
+        try {
+            const saved = await getPreference({ name: LAYOUT_PREFERENCE });
+
+            // A view applied whilst the layout was being read takes precedence over it.
+            if (saved && !this._viewApplied) {
+                this._restoreLayout(JSON.parse(saved));
+            }
+
+        } catch(error) {
+            // The default layout is used if the saved one cannot be read.
+        }
+
+        this._applyLayout();
+    }
+
+    _restoreLayout(layout) {
+        const known = new Set(COLUMNS.map(column => column.fieldName));
+
+        if (layout.columns) {
+            const columns = layout.columns.filter(column => known.has(column.fieldName));
+            const chosen = new Set(columns.map(column => column.fieldName));
+
+            // Any column added since the layout was saved is placed at the end.
+            this._layout = {
+                columns: [ ...columns, ...this._defaultLayout().columns.filter(column => !chosen.has(column.fieldName)) ]
+            };
+        }
+
+        if (layout.sortedBy && known.has(layout.sortedBy)) {
+            this.sortedBy = layout.sortedBy;
+            this.sortedDirection = layout.sortedDirection === 'desc' ? 'desc' : 'asc';
+        }
+    }
+
+    _applyLayout() {
+        const definitions = new Map(COLUMNS.map(column => [ column.fieldName, column ]));
+
+        this.columns = [
+            ...this._layout.columns
+                .filter(column => column.visible)
+                .map(column => ({
+                    ...definitions.get(column.fieldName),
+                    ...(column.width ? { initialWidth: column.width } : {})
+                })),
+            ACTION_COLUMN
+        ];
+    }
+
+    _defaultLayout() {
+        return {
+            columns: COLUMNS.map(column => ({
+                fieldName: column.fieldName,
+                visible: !OPTIONAL_COLUMNS.includes(column.fieldName)
+            }))
+        };
+    }
+
+    _buildOrdering() {
+        return (SORT_FIELDS[this.sortedBy] ?? this.sortedBy) + ' ' + this.sortedDirection + ', ' + SECONDARY_SORT;
+    }
+
+    _updateInfiniteLoading(page) {
+        // A short page means the end of the matching jobs has been reached, even if the total is now stale.
+        const exhausted = Array.isArray(page) && page.length < PAGE_SIZE;
+
+        this.enableInfiniteLoading = !exhausted && this.data.length < this.totalJobs;
+    }
+
+    async _updateLoaded(withCount) {
+        // Rather than re-reading every loaded job, the first page picks up new jobs and the rest only need re-reading
+        // if they can change on their own.
+        const unfinishedIds = this.data
+            .slice(PAGE_SIZE)
+            .filter(record => !FINISHED_STATUSES.includes(record.Status__c))
+            .map(record => record.Id);
+
+        const [ records, updated, total ] = await Promise.all([
+            this.getData(false, undefined, PAGE_SIZE),
+            unfinishedIds.length === 0 ? [] : this.getData(
+                false,
+                undefined,
+                unfinishedIds.length,
+                [ ...this._buildFilters(), { field: 'Id', operator: 'IN', value: unfinishedIds } ]
+            ),
+            withCount ? this.getTotalJobs() : undefined
+        ]);
+
+        if (!records || !updated) {
+            return;
+        }
+
+        // Loaded jobs that have dropped out of the first page stay where they are until the next reload.
+        const firstPage = new Set(records.map(record => record.Id));
+        const matched = new Map(updated.map(record => [ record.Id, record ]));
+        this.data = [
+            ...records,
+            ...this.data
+                .filter(record => !firstPage.has(record.Id))
+                .filter(record => !unfinishedIds.includes(record.Id) || matched.has(record.Id))
+                .map(record => matched.get(record.Id) || record)
+        ];
+        this._refreshDetailJob();
+        this._refreshSelection();
+
+        if (total !== undefined) {
+            this.totalJobs = total;
+
+            this.template
+                .querySelector('c-asynchronous-job-filters')
+                .jobsMatched(this._buildFilters(), total);
+        }
+
+        this._updateInfiniteLoading();
+    }
+
+    _reloadNow() {
+        if (this._searchTimerId) {
+            window.clearTimeout(this._searchTimerId);
+            this._searchTimerId = undefined;
+        }
+
+        this.refresh(true);
+    }
+
+    _reloadSoon() {
+        if (this._searchTimerId) {
+            window.clearTimeout(this._searchTimerId);
+        }
+
+        this._searchTimerId = window.setTimeout(() => {  this._reloadNow() }, SEARCH_DELAY);
+    }
+
+    _scheduleRefresh() {
+        // There is only ever one refresh timer, and none once the component has been removed.
         if (this._timerId) {
             window.clearTimeout(this._timerId);
+            this._timerId = undefined;
         }
 
-        this.refresh(true);
+        if (!this._disconnected) {
+            this._timerId = window.setTimeout(() => {  this.poll() }, this.refreshRate);
+        }
+    }
+
+    _finishLoading() {
+        this._loading = false;
+
+        if (this._reloadPending && !this._disconnected) {
+            this._reloadPending = false;
+            this.refresh(true);
+        }
+    }
+
+    clearSelectedRows() {
+        this._selectedRows = [];
+        this._selectedStatuses = new Map();
+        this._vanishedRows = [];
+        this.selectedIds = [];
+        this._reloadNow();
     }
 
     startSpinner() {
@@ -0,0 +1,251 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { getEnclosingUtilityId, onUtilityClick, setUtilityHighlighted, setUtilityLabel } from 'lightning/platformUtilityBarApi';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
+import getTotals from '@salesforce/apex/AsynchronousV1.getTotals';
+import countJobs from '@salesforce/apex/AsynchronousV1.countJobs';
+import getJobs from '@salesforce/apex/AsynchronousV1.getJobs';
+import getChangesChannel from '@salesforce/apex/AsynchronousV1.getChangesChannel';
+import getPreference from '@salesforce/apex/AsynchronousV1.getPreference';
+import savePreference from '@salesforce/apex/AsynchronousV1.savePreference';
+import userId from '@salesforce/user/Id';
+
+const REFRESH_RATE = 30000;
+
+// Whilst changes are being streamed, a full refresh is only needed to pick up any missed changes.
+const STREAMING_REFRESH_RATE = 300000;
+
+// Changes arriving within this period are applied together.
+const CHANGE_DELAY = 500;
+
+const LATEST_FAILURES = 5;
+
+// When the user last saw their failures, so the jobs that have failed since then can be badged.
+const ACKNOWLEDGED_PREFERENCE = 'asynchronousJobMonitor.acknowledged';
+
+const LABEL = 'Asynchronous Jobs';
+const CONSOLE_TAB = 'AsynchronousJobs';
+
+export default class AsynchronousJobMonitor extends NavigationMixin(LightningElement) {
+    queued = 0;
+    running = 0;
+    succeeded = 0;
+    failed = 0;
+    failures = [];
+    newFailures = 0;
+    refreshRate = REFRESH_RATE;
+    _acknowledged;
+    _utilityId;
+    _timerId;
+    _changesTimerId;
+    _subscription;
+    _disconnected = false;
+
+    async connectedCallback() {
+        this._disconnected = false;
+
+        try {
+            this._utilityId = await getEnclosingUtilityId();
+        } catch (error) {
+            // Not in a utility bar, so there is nothing to badge.
+            this._utilityId = undefined;
+        }
+
+        if (this._utilityId) {
+            // Opening the utility shows the user their failures.
+            onUtilityClick(this._utilityId, () => this.acknowledge());
+        }
+
+        await this._loadAcknowledged();
+        await this.refresh();
+        await this.subscribeToChanges();
+    }
+
+    disconnectedCallback() {
+        this._disconnected = true;
+
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+            this._timerId = undefined;
+        }
+
+        if (this._changesTimerId) {
+            window.clearTimeout(this._changesTimerId);
+            this._changesTimerId = undefined;
+        }
+
+        if (this._subscription) {
+            unsubscribe(this._subscription);
+            this._subscription = undefined;
+        }
+    }
+
+    get hasFailures() {
+        return this.failures.length > 0;
+    }
+
+    get hasNewFailures() {
+        return this.newFailures > 0;
+    }
+
+    get newFailuresLabel() {
+        return this.newFailures === 1 ? '1 new failure' : this.newFailures + ' new failures';
+    }
+
+    async subscribeToChanges() {
+        try {
+            if (!await isEmpEnabled()) {
+                return;
+            }
+
+            onError(() => {
+                // Fall back to polling.
+                this._subscription = undefined;
+                this.refreshRate = REFRESH_RATE;
+            });
+
+            const channel = await getChangesChannel();
+            const subscription = await subscribe(channel, -1, message => this.jobChanged(message.data.payload));
+
+            if (this._disconnected) {
+                // The component was removed whilst subscribing.
+                unsubscribe(subscription);
+                return;
+            }
+
+            this._subscription = subscription;
+            this.refreshRate = STREAMING_REFRESH_RATE;
+
+        } catch (error) {
+            // Streaming is unavailable, so continue polling.
+            this._subscription = undefined;
+            this.refreshRate = REFRESH_RATE;
+        }
+    }
+
+    jobChanged(payload) {
+        const ownerId = Object.keys(payload).find(field => field.endsWith('JobOwnerId__c'));
+
+        if (payload[ownerId] === userId && !this._changesTimerId) {
+            this._changesTimerId = window.setTimeout(() => {
+                this._changesTimerId = undefined;
+                this.refresh();
+            }, CHANGE_DELAY);
+        }
+    }
+
+    async refresh() {
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+            this._timerId = undefined;
+        }
+
+        try {
+            if (this._acknowledged === undefined) {
+                // Failures from before the monitor was first used are not new to the user.
+                await this._saveAcknowledged(new Date().toISOString());
+            }
+
+            const [ totals, newFailures ] = await Promise.all([
+                getTotals({ scope: 'MINE' }),
+                countJobs({
+                    filters: [
+                        { field: 'Status__c', operator: 'IN', value: [ 'FAILED' ] },
+                        { field: 'Scope', operator: '=', value: 'MINE' },
+                        { field: 'LastModifiedDate', operator: '>', value: this._acknowledged }
+                    ]
+                })
+            ]);
+
+            this.queued = totals.QUEUED;
+            this.running = totals.RUNNING;
+            this.succeeded = totals.SUCCEEDED;
+            this.failed = totals.FAILED;
+            this.newFailures = newFailures;
+
+            this._updateBadge();
+
+            this.failures = await getJobs({
+                filters: [
+                    { field: 'Status__c', operator: 'IN', value: [ 'FAILED' ] },
+                    { field: 'Scope', operator: '=', value: 'MINE' }
+                ],
+                ordering: 'LastRunTime__c desc',
+                offset: 0,
+                max: LATEST_FAILURES
+            });
+
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Get jobs failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        }
+
+        // The component may have been removed whilst refreshing, and a refresh may have been started by a change.
+        if (!this._disconnected && !this._timerId) {
+            this._timerId = window.setTimeout(() => {  this.refresh() }, this.refreshRate);
+        }
+    }
+
+    acknowledge() {
+        // A job that fails again after this is counted as a new failure, as its LastModifiedDate will be later.
+        this._saveAcknowledged(new Date().toISOString());
+        this.newFailures = 0;
+        this._updateBadge();
+    }
+
+    showJob(event) {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: event.currentTarget.dataset.id,
+                actionName: 'view'
+            }
+        });
+    }
+
+    showConsole() {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: {
+                apiName: CONSOLE_TAB
+            }
+        });
+    }
+
+    async _loadAcknowledged() {
+        try {
+            this._acknowledged = await getPreference({ name: ACKNOWLEDGED_PREFERENCE }) || undefined;
+        } catch (error) {
+            this._acknowledged = undefined;
+        }
+    }
+
+    async _saveAcknowledged(time) {
+        this._acknowledged = time;
+
+        try {
+            await savePreference({ name: ACKNOWLEDGED_PREFERENCE, value: time });
+        } catch (error) {
+            // The badge still works for this session, so the failure is not worth interrupting the user for.
+        }
+    }
+
+    _updateBadge() {
+        if (this._utilityId) {
+            setUtilityHighlighted(this._utilityId, this.newFailures > 0);
+            setUtilityLabel(this._utilityId, this.newFailures > 0 ? LABEL + ' (' + this.newFailures + ' failed)' : LABEL);
+        }
+    }
+}
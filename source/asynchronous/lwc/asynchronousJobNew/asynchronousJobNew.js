@@ -0,0 +1,135 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import LightningModal from 'lightning/modal';
+import getRunnables from '@salesforce/apex/AsynchronousV1.getRunnables';
+import newJob from '@salesforce/apex/AsynchronousV1.newJob';
+
+export default class AsynchronousJobNew extends LightningModal {
+    runnables = [];
+    runnable;
+    reference;
+    maximumRetries = 0;
+    retryInterval = 0;
+    scheduledRunTime;
+    entries = [];
+    errorMessage;
+    showSpinner = false;
+    _nextEntryId = 0;
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    async connectedCallback() {
+        this.showSpinner = true;
+
+        try {
+            const runnables = await getRunnables();
+            this.runnables = runnables.map(runnable => ({ label: runnable, value: runnable }));
+        } catch (error) {
+            this.errorMessage = 'Get runnables failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    runnableChanged(event) {
+        this.runnable = event.detail.value;
+    }
+
+    referenceChanged(event) {
+        this.reference = event.target.value;
+    }
+
+    maximumRetriesChanged(event) {
+        this.maximumRetries = event.target.value;
+    }
+
+    retryIntervalChanged(event) {
+        this.retryInterval = event.target.value;
+    }
+
+    scheduledRunTimeChanged(event) {
+        this.scheduledRunTime = event.target.value;
+    }
+
+    keyChanged(event) {
+        this._updateEntry(event.target.dataset.id, { key: event.target.value });
+    }
+
+    valueChanged(event) {
+        this._updateEntry(event.target.dataset.id, { value: event.target.value });
+    }
+
+    addEntry() {
+        this.entries = [ ...this.entries, this._newEntry('', '') ];
+    }
+
+    removeEntry(event) {
+        const id = event.target.dataset.id;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    async create() {
+        const inputs = [ ...this.template.querySelectorAll('lightning-combobox, lightning-input') ];
+        if (!inputs.reduce((valid, input) => input.reportValidity() && valid, true)) {
+            return;
+        }
+
+        const state = {};
+
+        for (const entry of this.entries) {
+            const key = (entry.key || '').trim();
+
+            if (!key) {
+                this.errorMessage = 'Every value must have a key.';
+                return;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(state, key)) {
+                this.errorMessage = 'The key ' + key + ' has been used more than once.';
+                return;
+            }
+
+            state[key] = entry.value;
+        }
+
+        this.errorMessage = undefined;
+        this.showSpinner = true;
+
+        try {
+            // The Runnable is checked by the server before the job is queued, so any problem with it is shown here.
+            const jobId = await newJob({
+                runnable: this.runnable,
+                reference: this.reference,
+                maximumRetries: this._toInteger(this.maximumRetries),
+                retryInterval: this._toInteger(this.retryInterval),
+                scheduledRunTime: this.scheduledRunTime,
+                state: state
+            });
+            this.close(jobId);
+        } catch (error) {
+            this.errorMessage = 'New job failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    _toInteger(value) {
+        return value === undefined || value === null || value === '' ? 0 : parseInt(value, 10);
+    }
+
+    _newEntry(key, value) {
+        return { id: 'entry-' + this._nextEntryId++, key: key, value: value };
+    }
+
+    _updateEntry(id, change) {
+        this.entries = this.entries.map(entry => entry.id === id ? { ...entry, ...change } : entry);
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement, api } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import getJob from '@salesforce/apex/AsynchronousV1.getJob';
+import ASYNCHRONOUS_JOB_OBJECT from '@salesforce/schema/AsynchronousJob__c';
+
+// The job is refreshed while it is in one of these statuses, as it will change without any action by the user.
+const ACTIVE_STATUSES = [ 'PENDING', 'QUEUED', 'RUNNING', 'FINALIZING' ];
+
+const JOB_NOT_FOUND = 'Job not found';
+
+export default class AsynchronousJobRecord extends NavigationMixin(LightningElement) {
+    @api recordId;
+    @api refreshRate = 5000;
+    job;
+    showSpinner = false;
+    _actionsStale = false;
+    _timerId;
+
+    connectedCallback() {
+        this.load(true);
+    }
+
+    disconnectedCallback() {
+        this._cancelRefresh();
+    }
+
+    renderedCallback() {
+        // The actions allowed depend on the status of the job, so they are re-checked whenever it is loaded.
+        if (this._actionsStale) {
+            const actions = this.template.querySelector('c-asynchronous-job-actions');
+            if (actions) {
+                this._actionsStale = false;
+                actions.rowsSelected([ this.job ]);
+            }
+        }
+    }
+
+    get title() {
+        return this.job?.Name || 'Asynchronous Job';
+    }
+
+    get apexJob() {
+        return this.job?.ApexJob;
+    }
+
+    refresh() {
+        this.load(true);
+    }
+
+    actionCompleted() {
+        notifyRecordUpdateAvailable([ { recordId: this.recordId } ]);
+
+        // The state may have been edited without the status changing.
+        this.template.querySelector('c-asynchronous-job-detail')?.loadState();
+        this.load(false);
+    }
+
+    startSpinner() {
+        this.showSpinner = true;
+    }
+
+    stopSpinner() {
+        this.showSpinner = false;
+    }
+
+    async load(withSpinner) {
+        this._cancelRefresh();
+        this.showSpinner = withSpinner;
+
+        try {
+            const job = await getJob({ jobId: this.recordId });
+
+            if (this.job && this.job.Status__c !== job.Status__c) {
+                notifyRecordUpdateAvailable([ { recordId: this.recordId } ]);
+            }
+
+            this.job = job;
+            this._actionsStale = true;
+
+            if (ACTIVE_STATUSES.includes(job.Status__c)) {
+                this._timerId = window.setTimeout(() => {  this.load(false) }, this.refreshRate);
+            }
+
+        } catch (error) {
+            const message = error.body.message || error.body.pageErrors[0]?.message;
+
+            if (this.job && message?.startsWith(JOB_NOT_FOUND)) {
+                // The job has been deleted, so there is nothing left to show.
+                this[NavigationMixin.Navigate]({
+                    type: 'standard__objectPage',
+                    attributes: {
+                        objectApiName: ASYNCHRONOUS_JOB_OBJECT.objectApiName,
+                        actionName: 'home'
+                    }
+                });
+                return;
+            }
+
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Get job failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, message ]
+                    }
+                )
+            );
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    _cancelRefresh() {
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+            this._timerId = undefined;
+        }
+    }
+}
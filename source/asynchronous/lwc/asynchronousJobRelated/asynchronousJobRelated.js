@@ -0,0 +1,139 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRelatedJobs from '@salesforce/apex/AsynchronousV1.getRelatedJobs';
+import runJobs from '@salesforce/apex/AsynchronousV1.runJobs';
+
+const RUN_ACTION = 'run';
+
+const COLUMNS = [
+    {
+      label: 'Name',
+      fieldName: 'jobUrl',
+      type: 'url',
+      typeAttributes: {
+        label: { fieldName: 'Name' },
+        target: '_blank',
+        tooltip: 'View'
+      }
+    },
+    {
+      label: 'Status',
+      fieldName: 'Status__c',
+      cellAttributes: {
+        iconName: { fieldName: 'stuckIcon' },
+        iconAlternativeText: { fieldName: 'StuckReason' },
+        iconPosition: 'right',
+        class: { fieldName: 'statusClass' }
+      }
+    },
+    {
+      label: 'Last Run Time',
+      fieldName: 'LastRunTime__c',
+      type: 'date',
+      typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    { label: 'Retries', fieldName: 'RetriesRemaining__c', type: 'number' },
+    { label: 'Runnable', fieldName: 'Runnable__c' },
+    {
+      type: 'action',
+      typeAttributes: { rowActions: (row, doneCallback) => doneCallback([
+          { label: 'Re-run', name: RUN_ACTION, iconName: 'utility:refresh', disabled: row.Status__c !== 'FAILED' }
+      ]) }
+    }
+];
+
+export default class AsynchronousJobRelated extends LightningElement {
+    @api recordId;
+    @api title = 'Related Asynchronous Jobs';
+    @api referencePrefix;
+    @api maxJobs = 50;
+    columns = COLUMNS;
+    jobs = [];
+    showSpinner = false;
+
+    connectedCallback() {
+        this.load();
+    }
+
+    get cardTitle() {
+        return this.title + ' (' + this.jobs.length + ')';
+    }
+
+    get hasJobs() {
+        return this.jobs.length > 0;
+    }
+
+    get noFailedJobs() {
+        return !this.jobs.some(job => job.Status__c === 'FAILED');
+    }
+
+    refresh() {
+        this.load();
+    }
+
+    rowAction(event) {
+        if (event.detail.action.name === RUN_ACTION) {
+            this._run([ event.detail.row.Id ]);
+        }
+    }
+
+    runFailed() {
+        this._run(this.jobs.filter(job => job.Status__c === 'FAILED').map(job => job.Id));
+    }
+
+    async load() {
+        this.showSpinner = true;
+
+        try {
+            const jobs = await getRelatedJobs({
+                recordId: this.recordId,
+                referencePrefix: this.referencePrefix,
+                max: this.maxJobs
+            });
+
+            this.jobs = jobs.map(job => ({
+                ...job,
+                jobUrl: '/' + job.Id,
+                stuckIcon: job.StuckReason ? 'utility:clock' : undefined,
+                statusClass: job.Status__c === 'FAILED' || job.StuckReason ? 'slds-text-color_error' : undefined
+            }));
+
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Get related jobs failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    async _run(jobIds) {
+        this.showSpinner = true;
+
+        try {
+            await runJobs({ jobIds: jobIds });
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent(
+                    {
+                        title: 'Error',
+                        message: 'Run jobs failed, Status: {0}, Exception: {1}',
+                        messageData: [ '' + error.status, error.body.message || error.body.pageErrors[0]?.message ]
+                    }
+                )
+            );
+        }
+
+        await this.load();
+    }
+}
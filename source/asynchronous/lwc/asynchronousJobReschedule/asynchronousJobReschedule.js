@@ -0,0 +1,47 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+
+const MINUTE = 60 * 1000;
+
+export default class AsynchronousJobReschedule extends LightningModal {
+    @api jobCount = 0;
+
+    scheduledRunTime;
+    errorMessage;
+
+    offsets = [
+        { label: '+15 min', value: 15 * MINUTE },
+        { label: '+1 h', value: 60 * MINUTE },
+        { label: '+4 h', value: 240 * MINUTE },
+        { label: '+1 day', value: 1440 * MINUTE }
+    ];
+
+    get title() {
+        return 'Reschedule ' + this.jobCount + (this.jobCount === 1 ? ' Job' : ' Jobs');
+    }
+
+    scheduledRunTimeChanged(event) {
+        this.scheduledRunTime = event.target.value;
+    }
+
+    applyOffset(event) {
+        this.scheduledRunTime = new Date(Date.now() + Number(event.target.dataset.offset)).toISOString();
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    reschedule() {
+        if (!this.scheduledRunTime) {
+            this.errorMessage = 'Choose when the jobs are to be run.';
+            return;
+        }
+
+        this.close(this.scheduledRunTime);
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+import getRunnableTotals from '@salesforce/apex/AsynchronousV1.getRunnableTotals';
+
+export default class AsynchronousJobRunnableTotals extends LightningModal {
+    @api scope;
+    data = [];
+    sortedBy = 'QUEUED';
+    sortedDirection = 'desc';
+    errorMessage;
+    showSpinner = false;
+
+    columns = [
+        { label: 'Runnable', fieldName: 'Runnable__c', sortable: true, wrapText: true },
+        { label: 'Queued', fieldName: 'QUEUED', type: 'number', initialWidth: 100, sortable: true },
+        {
+          label: 'Running',
+          fieldName: 'RUNNING',
+          type: 'number',
+          initialWidth: 100,
+          sortable: true,
+          cellAttributes: {
+            iconName: { fieldName: 'saturatedIcon' },
+            iconAlternativeText: 'Running at its maximum concurrency',
+            class: { fieldName: 'saturatedClass' }
+          }
+        },
+        { label: 'Max Active', fieldName: 'MaximumActive', type: 'number', initialWidth: 110, sortable: true },
+        { label: 'Finalizing', fieldName: 'FINALIZING', type: 'number', initialWidth: 100, sortable: true },
+        { label: 'Succeeded', fieldName: 'SUCCEEDED', type: 'number', initialWidth: 110, sortable: true },
+        { label: 'Failed', fieldName: 'FAILED', type: 'number', initialWidth: 100, sortable: true },
+        { label: 'Cancelled', fieldName: 'CANCELLED', type: 'number', initialWidth: 110, sortable: true },
+        { label: 'Pending', fieldName: 'PENDING', type: 'number', initialWidth: 100, sortable: true }
+    ];
+
+    connectedCallback() {
+        this.refresh();
+    }
+
+    async refresh() {
+        this.showSpinner = true;
+
+        try {
+            const totals = await getRunnableTotals({ scope: this.scope });
+            this.errorMessage = undefined;
+            this.data = this._sort(totals.map(runnableTotals => {
+                const saturated = runnableTotals.MaximumActive !== null
+                    && runnableTotals.MaximumActive !== undefined
+                    && runnableTotals.RUNNING >= runnableTotals.MaximumActive;
+
+                return {
+                    ...runnableTotals,
+                    saturatedIcon: saturated ? 'utility:warning' : undefined,
+                    saturatedClass: saturated ? 'slds-text-color_error' : undefined
+                };
+            }));
+        } catch (error) {
+            this.errorMessage = 'Get runnable totals failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    sortData(event) {
+        this.sortedBy = event.detail.fieldName;
+        this.sortedDirection = event.detail.sortDirection;
+        this.data = this._sort(this.data);
+    }
+
+    closeModal() {
+        this.close();
+    }
+
+    _sort(rows) {
+        const direction = this.sortedDirection === 'asc' ? 1 : -1;
+        const field = this.sortedBy;
+
+        return [ ...rows ].sort((a, b) => {
+            const first = a[field] ?? '';
+            const second = b[field] ?? '';
+            return (first > second ? 1 : first < second ? -1 : 0) * direction;
+        });
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+import getJobState from '@salesforce/apex/AsynchronousV1.getJobState';
+import saveJobState from '@salesforce/apex/AsynchronousV1.saveJobState';
+
+export default class AsynchronousJobStateEditor extends LightningModal {
+    @api job;
+
+    entries = [];
+    requeue = false;
+    errorMessage;
+    showSpinner = false;
+    _nextEntryId = 0;
+
+    get title() {
+        return 'Edit State - ' + this.job.Name;
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    async connectedCallback() {
+        this.showSpinner = true;
+
+        try {
+            const state = await getJobState({ jobId: this.job.Id }) || {};
+            this.entries = Object.keys(state).sort().map(key => this._newEntry(key, state[key]));
+        } catch (error) {
+            this.errorMessage = 'Get job state failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    keyChanged(event) {
+        this._updateEntry(event.target.dataset.id, { key: event.target.value });
+    }
+
+    valueChanged(event) {
+        this._updateEntry(event.target.dataset.id, { value: event.target.value });
+    }
+
+    requeueChanged(event) {
+        this.requeue = event.target.checked;
+    }
+
+    addEntry() {
+        this.entries = [ ...this.entries, this._newEntry('', '') ];
+    }
+
+    removeEntry(event) {
+        const id = event.target.dataset.id;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    async save() {
+        const state = {};
+
+        for (const entry of this.entries) {
+            const key = (entry.key || '').trim();
+
+            if (!key) {
+                this.errorMessage = 'Every value must have a key.';
+                return;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(state, key)) {
+                this.errorMessage = 'The key ' + key + ' has been used more than once.';
+                return;
+            }
+
+            state[key] = entry.value;
+        }
+
+        this.errorMessage = undefined;
+        this.showSpinner = true;
+
+        try {
+            await saveJobState({ jobId: this.job.Id, state: state, requeue: this.requeue });
+            this.close('saved');
+        } catch (error) {
+            this.errorMessage = 'Save job state failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    _newEntry(key, value) {
+        return { id: 'entry-' + this._nextEntryId++, key: key, value: value };
+    }
+
+    _updateEntry(id, change) {
+        this.entries = this.entries.map(entry => entry.id === id ? { ...entry, ...change } : entry);
+    }
+}
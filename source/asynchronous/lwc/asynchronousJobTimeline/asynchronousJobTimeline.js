@@ -0,0 +1,190 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement } from 'lwc';
+import getTimeline from '@salesforce/apex/AsynchronousV1.getTimeline';
+
+const MINUTE = 60 * 1000;
+const REFRESH_RATE = 30000;
+
+const LABEL_WIDTH = 240;
+const CHART_WIDTH = 960;
+const AXIS_HEIGHT = 24;
+const LANE_HEIGHT = 14;
+const LANE_GAP = 2;
+const GROUP_GAP = 12;
+const TICKS = 6;
+
+const STATUS_CLASSES = {
+    RUNNING: 'bar bar-running',
+    FINALIZING: 'bar bar-finalizing',
+    SUCCEEDED: 'bar bar-succeeded',
+    FAILED: 'bar bar-failed',
+    CANCELLED: 'bar bar-cancelled'
+};
+
+export default class AsynchronousJobTimeline extends LightningElement {
+    windowLength = '' + 60 * MINUTE;
+    windowOptions = [
+        { value: '' + 15 * MINUTE, label: 'Last 15 minutes' },
+        { value: '' + 60 * MINUTE, label: 'Last hour' },
+        { value: '' + 360 * MINUTE, label: 'Last 6 hours' },
+        { value: '' + 1440 * MINUTE, label: 'Last 24 hours' }
+    ];
+
+    showSpinner = false;
+    errorMessage;
+    truncated = false;
+
+    labelWidth = LABEL_WIDTH;
+    chartEnd = LABEL_WIDTH + CHART_WIDTH;
+    axisHeight = AXIS_HEIGHT;
+    height = AXIS_HEIGHT;
+    ticks = [];
+    groups = [];
+    bars = [];
+
+    _runnableSearchTerm = '';
+    _timerId;
+
+    get viewBox() {
+        return '0 0 ' + (LABEL_WIDTH + CHART_WIDTH) + ' ' + this.height;
+    }
+
+    get isEmpty() {
+        return this.bars.length === 0;
+    }
+
+    async connectedCallback() {
+        await this.refresh(true);
+    }
+
+    disconnectedCallback() {
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+        }
+    }
+
+    windowChanged(event) {
+        this.windowLength = event.detail.value;
+        this._refreshNow();
+    }
+
+    setRunnableSearchTerm(event) {
+        this._runnableSearchTerm = event.detail.value;
+        this._refreshNow();
+    }
+
+    async refresh(withSpinner) {
+        this.showSpinner = withSpinner;
+
+        try {
+            const windowEnd = Date.now();
+            const windowStart = windowEnd - Number(this.windowLength);
+
+            const timeline = await getTimeline({
+                filters: [ { field: 'Runnable__c', operator: 'LIKE', value: '%' + this._runnableSearchTerm + '%' } ],
+                windowStart: new Date(windowStart).toISOString(),
+                windowEnd: new Date(windowEnd).toISOString()
+            });
+
+            this.errorMessage = undefined;
+            this.truncated = timeline.Truncated;
+            this._draw(timeline.Jobs, timeline.MaximumActive, windowStart, windowEnd);
+
+        } catch(error) {
+            this.errorMessage = 'Get timeline failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+
+        this._timerId = window.setTimeout(() => {  this.refresh(false) }, REFRESH_RATE);
+    }
+
+    _refreshNow() {
+        if (this._timerId) {
+            window.clearTimeout(this._timerId);
+        }
+
+        this.refresh(true);
+    }
+
+    _draw(jobs, maximumActive, windowStart, windowEnd) {
+        const span = windowEnd - windowStart;
+        const toX = time => LABEL_WIDTH + Math.round((Math.min(Math.max(time, windowStart), windowEnd) - windowStart) / span * CHART_WIDTH);
+
+        const byRunnable = new Map();
+        jobs.forEach(job => {
+            if (!byRunnable.has(job.Runnable__c)) {
+                byRunnable.set(job.Runnable__c, []);
+            }
+            byRunnable.get(job.Runnable__c).push(job);
+        });
+
+        const groups = [];
+        const bars = [];
+        let top = AXIS_HEIGHT;
+
+        [ ...byRunnable.keys() ].sort().forEach(runnable => {
+            // Jobs that overlap are put in separate lanes, so the number of lanes in use is the concurrency.
+            const laneEnds = [];
+            const limit = maximumActive[runnable];
+
+            byRunnable.get(runnable).forEach(job => {
+                const start = new Date(job.LastRunTime__c).getTime();
+                const finish = job.FinishTime ? new Date(job.FinishTime).getTime() : windowEnd;
+
+                let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+                if (lane < 0) {
+                    lane = laneEnds.length;
+                }
+                laneEnds[lane] = finish;
+
+                const x = toX(start);
+                bars.push({
+                    key: job.Id,
+                    x: x,
+                    y: top + lane * (LANE_HEIGHT + LANE_GAP),
+                    width: Math.max(1, toX(finish) - x),
+                    height: LANE_HEIGHT,
+                    cssClass: STATUS_CLASSES[job.Status__c] || 'bar',
+                    tooltip: job.Name + ' ' + (job.Reference__c || '') + ' ' + job.Status__c
+                        + ', ' + new Date(start).toLocaleString()
+                        + (job.FinishTime ? ' - ' + new Date(finish).toLocaleString() : '')
+                });
+            });
+
+            const groupHeight = Math.max(1, laneEnds.length) * (LANE_HEIGHT + LANE_GAP);
+
+            // The limit is only drawn once the lanes reach it, otherwise it would stretch the group.
+            const limitY = limit && limit <= laneEnds.length ? top + limit * (LANE_HEIGHT + LANE_GAP) - LANE_GAP / 2 : undefined;
+
+            groups.push({
+                key: runnable,
+                label: runnable.substring(runnable.lastIndexOf('.') + 1) + (limit ? ' (max ' + limit + ')' : ''),
+                title: runnable,
+                labelY: top + LANE_HEIGHT - 3,
+                showLimit: limitY !== undefined,
+                limitY: limitY,
+                separatorY: top + groupHeight + GROUP_GAP / 2
+            });
+
+            top += groupHeight + GROUP_GAP;
+        });
+
+        this.ticks = Array.from({ length: TICKS + 1 }, (unused, index) => {
+            const time = windowStart + span * index / TICKS;
+            return {
+                key: 'tick' + index,
+                x: toX(time),
+                label: new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+                anchor: index === 0 ? 'start' : (index === TICKS ? 'end' : 'middle')
+            };
+        });
+
+        this.groups = groups;
+        this.bars = bars;
+        this.height = top;
+    }
+}
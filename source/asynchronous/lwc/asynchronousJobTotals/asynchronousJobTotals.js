@@ -5,6 +5,9 @@
 import { LightningElement, api } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getTotals from '@salesforce/apex/AsynchronousV1.getTotals';
+import AsynchronousJobRunnableTotals from 'c/asynchronousJobRunnableTotals';
+import AsynchronousJobTrends from 'c/asynchronousJobTrends';
+import userId from '@salesforce/user/Id';
 
 export default class AsynchronousJobTotals extends LightningElement {
     @api refreshRate = 10000;
@@ -14,8 +17,23 @@ export default class AsynchronousJobTotals extends LightningElement {
     failed = 0;
     cancelled = 0;
     finalizing = 0;
+    _scope;
     _timerId;
 
+    @api
+    get scope() {
+        return this._scope;
+    }
+
+    set scope(value) {
+        const changed = this._scope !== value;
+        this._scope = value;
+
+        if (changed && this._timerId) {
+            this.getTotals();
+        }
+    }
+
     async connectedCallback() {
         this.totals = await this.getTotals();
         this._timerId = window.setTimeout(() => {  this.refresh() }, this.refreshRate);
@@ -33,9 +51,40 @@ export default class AsynchronousJobTotals extends LightningElement {
         this._timerId = window.setTimeout(() => {  this.refresh() }, this.refreshRate);
     }
 
+    async showRunnableTotals() {
+        await AsynchronousJobRunnableTotals.open({
+            size: 'large',
+            description: 'The number of jobs in each status for each Runnable',
+            scope: this.scope
+        });
+    }
+
+    async showTrends() {
+        await AsynchronousJobTrends.open({
+            size: 'large',
+            description: 'The throughput, failures and run times of the jobs over time',
+            scope: this.scope
+        });
+    }
+
+    statusClicked(event) {
+        this.dispatchEvent(
+            new CustomEvent('statusselected', { detail: { status: event.currentTarget.dataset.status, add: event.shiftKey } })
+        );
+    }
+
+    // The totals are read again rather than adjusted by each change, as a missed or repeated change would leave
+    // them wrong until the next refresh. The changes are already batched by the list, so this is one query a batch.
+    @api
+    jobsChanged(changes) {
+        if (changes.some(change => this._inScope(change))) {
+            this.getTotals();
+        }
+    }
+
     async getTotals() {
         try {
-            const totals = await getTotals();
+            const totals = await getTotals({ scope: this.scope });
             this.queued = totals.QUEUED;
             this.running = totals.RUNNING;
             this.succeeded = totals.SUCCEEDED;
@@ -54,4 +103,14 @@ export default class AsynchronousJobTotals extends LightningElement {
             );
         }
     }
+
+    // Every user receives every change, so the changes to jobs outside the scope are ignored. Without a scope the
+    // totals are of the user's own jobs.
+    _inScope(change) {
+        if (this.scope === 'ALL') {
+            return true;
+        }
+
+        return change.JobOwnerId__c === (this.scope && this.scope !== 'MINE' ? this.scope : userId);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+import getTrends from '@salesforce/apex/AsynchronousV1.getTrends';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// The server counts the jobs per hour or day, so the current interval is always the last bucket.
+const WINDOWS = {
+    day: { length: DAY - HOUR, interval: 'HOUR' },
+    week: { length: 7 * DAY - HOUR, interval: 'HOUR' },
+    month: { length: 29 * DAY, interval: 'DAY' }
+};
+
+const SERIES = [
+    { field: 'Completed', label: 'Completed', cssClass: 'series series-completed', legendClass: 'legend-completed' },
+    { field: 'Failed', label: 'Failed', cssClass: 'series series-failed', legendClass: 'legend-failed' },
+    { field: 'Retried', label: 'Retried', cssClass: 'series series-retried', legendClass: 'legend-retried' }
+];
+
+const CHART_LEFT = 48;
+const CHART_WIDTH = 900;
+const CHART_TOP = 10;
+const CHART_HEIGHT = 220;
+const X_TICKS = 6;
+
+const RUN_TIME_LABEL_WIDTH = 240;
+const RUN_TIME_WIDTH = 560;
+const RUN_TIME_ROW_HEIGHT = 26;
+
+export default class AsynchronousJobTrends extends LightningModal {
+    @api scope;
+
+    selectedWindow = 'day';
+    windowOptions = [
+        { value: 'day', label: 'Last 24 hours, per hour' },
+        { value: 'week', label: 'Last 7 days, per hour' },
+        { value: 'month', label: 'Last 30 days, per day' }
+    ];
+
+    errorMessage;
+    showSpinner = false;
+    truncated = false;
+
+    legend = SERIES.map(series => ({ key: series.field, label: series.label, cssClass: 'legend ' + series.legendClass }));
+    chartViewBox = '0 0 ' + (CHART_LEFT + CHART_WIDTH + 10) + ' ' + (CHART_TOP + CHART_HEIGHT + 24);
+    chartLeft = CHART_LEFT;
+    chartRight = CHART_LEFT + CHART_WIDTH;
+    chartBottom = CHART_TOP + CHART_HEIGHT;
+    lines = [];
+    xTicks = [];
+    yTicks = [];
+
+    runTimeViewBox;
+    runTimeLabelWidth = RUN_TIME_LABEL_WIDTH;
+    runTimes = [];
+
+    get hasRunTimes() {
+        return this.runTimes.length > 0;
+    }
+
+    connectedCallback() {
+        this.refresh();
+    }
+
+    windowChanged(event) {
+        this.selectedWindow = event.detail.value;
+        this.refresh();
+    }
+
+    async refresh() {
+        this.showSpinner = true;
+
+        try {
+            const chosen = WINDOWS[this.selectedWindow];
+            const windowEnd = Date.now();
+            const windowStart = windowEnd - chosen.length;
+
+            const trends = await getTrends({
+                scope: this.scope,
+                windowStart: new Date(windowStart).toISOString(),
+                windowEnd: new Date(windowEnd).toISOString(),
+                interval: chosen.interval
+            });
+
+            this.errorMessage = undefined;
+            this.truncated = trends.Truncated;
+            this._drawBuckets(trends.Buckets, chosen.interval);
+            this._drawRunTimes(trends.RunTimes);
+
+        } catch(error) {
+            this.errorMessage = 'Get trends failed: ' + (error.body.message || error.body.pageErrors[0]?.message);
+        } finally {
+            this.showSpinner = false;
+        }
+    }
+
+    closeModal() {
+        this.close();
+    }
+
+    _drawBuckets(buckets, interval) {
+        const maximum = Math.max(1, ...buckets.flatMap(bucket => SERIES.map(series => bucket[series.field])));
+        const step = CHART_WIDTH / Math.max(1, buckets.length - 1);
+        const toY = value => CHART_TOP + CHART_HEIGHT - Math.round(value / maximum * CHART_HEIGHT);
+
+        this.lines = SERIES.map(series => ({
+            key: series.field,
+            cssClass: series.cssClass,
+            points: buckets
+                .map((bucket, index) => Math.round(CHART_LEFT + index * step) + ',' + toY(bucket[series.field]))
+                .join(' ')
+        }));
+
+        this.yTicks = [ 0, Math.round(maximum / 2), maximum ].map(value => ({
+            key: 'y' + value,
+            label: '' + value,
+            y: toY(value)
+        }));
+
+        const format = interval === 'DAY'
+            ? { day: 'numeric', month: 'short' }
+            : { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+        const tickCount = Math.min(X_TICKS, buckets.length - 1);
+
+        this.xTicks = Array.from({ length: tickCount + 1 }, (unused, tick) => {
+            const index = tickCount === 0 ? 0 : Math.round(tick * (buckets.length - 1) / tickCount);
+            return {
+                key: 'x' + tick,
+                x: Math.round(CHART_LEFT + index * step),
+                label: new Date(buckets[index].Start).toLocaleString([], format),
+                anchor: tick === 0 ? 'start' : (tick === tickCount ? 'end' : 'middle')
+            };
+        });
+    }
+
+    _drawRunTimes(runTimes) {
+        // The P95 is missing for a Runnable whose jobs did not finish recently enough to be sampled.
+        const maximum = Math.max(1, ...runTimes.map(runTime => runTime.P95 ?? runTime.Average));
+        const toWidth = value => Math.max(1, Math.round(value / maximum * RUN_TIME_WIDTH));
+
+        this.runTimes = runTimes.map((runTime, index) => {
+            const top = index * RUN_TIME_ROW_HEIGHT;
+            const runnable = runTime.Runnable__c;
+
+            return {
+                key: runnable,
+                label: runnable.substring(runnable.lastIndexOf('.') + 1),
+                title: runnable + ', ' + runTime.Count + ' jobs',
+                labelY: top + 15,
+                averageY: top + 4,
+                averageWidth: toWidth(runTime.Average),
+                p95Y: top + 13,
+                p95Width: toWidth(runTime.P95 ?? 0),
+                valueX: RUN_TIME_LABEL_WIDTH + toWidth(runTime.P95 ?? runTime.Average) + 6,
+                value: 'avg ' + this._formatDuration(runTime.Average)
+                    + (runTime.P95 == null ? '' : ', p95 ' + this._formatDuration(runTime.P95))
+            };
+        });
+
+        this.runTimeViewBox = '0 0 ' + (RUN_TIME_LABEL_WIDTH + RUN_TIME_WIDTH + 160) + ' ' + Math.max(1, runTimes.length) * RUN_TIME_ROW_HEIGHT;
+    }
+
+    _formatDuration(milliseconds) {
+        if (milliseconds < 1000) {
+            return milliseconds + ' ms';
+        }
+
+        if (milliseconds < MINUTE) {
+            return (milliseconds / 1000).toFixed(1) + ' s';
+        }
+
+        return (milliseconds / MINUTE).toFixed(1) + ' min';
+    }
+}
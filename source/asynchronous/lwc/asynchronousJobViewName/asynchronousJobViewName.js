@@ -0,0 +1,34 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api } from 'lwc';
+import LightningModal from 'lightning/modal';
+
+const MAX_NAME_LENGTH = 80;
+
+export default class AsynchronousJobViewName extends LightningModal {
+    @api name = '';
+
+    maxNameLength = MAX_NAME_LENGTH;
+    errorMessage;
+
+    nameChanged(event) {
+        this.name = event.target.value;
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    save() {
+        const name = (this.name || '').trim();
+
+        if (!name) {
+            this.errorMessage = 'Enter a name for the view.';
+            return;
+        }
+
+        this.close(name);
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { api, wire } from 'lwc';
+import LightningModal from 'lightning/modal';
+import { getRecords } from 'lightning/uiRecordApi';
+
+const USER_NAME = 'User.Name';
+
+export default class AsynchronousJobViewShare extends LightningModal {
+    @api viewName;
+
+    userIds = [];
+    errorMessage;
+
+    _names = new Map();
+
+    get title() {
+        return 'Share ' + this.viewName;
+    }
+
+    get hasUsers() {
+        return this.userIds.length > 0;
+    }
+
+    get users() {
+        return this.userIds.map(id => ({ id: id, label: this._names.get(id) || id }));
+    }
+
+    get userRecords() {
+        return this.hasUsers ? [ { recordIds: this.userIds, fields: [ USER_NAME ] } ] : undefined;
+    }
+
+    @wire(getRecords, { records: '$userRecords' })
+    userNames({ data }) {
+        if (data) {
+            this._names = new Map(
+                data.results
+                    .filter(result => result.statusCode === 200)
+                    .map(result => [ result.result.id, result.result.fields.Name.value ])
+            );
+        }
+    }
+
+    userChosen(event) {
+        const recordId = event.detail.recordId;
+
+        if (recordId && !this.userIds.includes(recordId)) {
+            this.userIds = [ ...this.userIds, recordId ];
+        }
+
+        event.target.clearSelection();
+    }
+
+    userRemoved(event) {
+        this.userIds = this.userIds.filter(id => id !== event.target.name);
+    }
+
+    cancel() {
+        this.close();
+    }
+
+    share() {
+        if (!this.hasUsers) {
+            this.errorMessage = 'Choose the users to share the view with.';
+            return;
+        }
+
+        this.close(this.userIds);
+    }
+}
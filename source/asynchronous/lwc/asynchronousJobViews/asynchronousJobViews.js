@@ -0,0 +1,233 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement, api, wire } from 'lwc';
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getViews from '@salesforce/apex/AsynchronousV1.getViews';
+import saveView from '@salesforce/apex/AsynchronousV1.saveView';
+import deleteView from '@salesforce/apex/AsynchronousV1.deleteView';
+import shareView from '@salesforce/apex/AsynchronousV1.shareView';
+import getPreference from '@salesforce/apex/AsynchronousV1.getPreference';
+import savePreference from '@salesforce/apex/AsynchronousV1.savePreference';
+import AsynchronousJobViewName from 'c/asynchronousJobViewName';
+import AsynchronousJobViewShare from 'c/asynchronousJobViewShare';
+
+// The id of the view shown when the console is opened is saved under this preference.
+const DEFAULT_VIEW_PREFERENCE = 'asynchronousJobList.defaultView';
+
+// The active view is kept in the URL so that a link to the console opens it.
+const VIEW_STATE = 'c__view';
+
+export default class AsynchronousJobViews extends NavigationMixin(LightningElement) {
+    @api definition;
+
+    views = [];
+    viewId = '';
+    defaultViewId;
+
+    _pageReference;
+    _loaded = false;
+
+    get viewOptions() {
+        return [
+            { value: '', label: 'No view' },
+            ...this.views.map(view => ({
+                value: view.Id,
+                label: view.Name
+                    + (view.Id === this.defaultViewId ? ' (default)' : '')
+                    + (view.IsOwner ? '' : ' - shared by ' + view.Owner)
+            }))
+        ];
+    }
+
+    get selectedView() {
+        return this.views.find(view => view.Id === this.viewId);
+    }
+
+    get noView() {
+        return !this.selectedView;
+    }
+
+    get notOwner() {
+        return !this.selectedView?.IsOwner;
+    }
+
+    get isDefault() {
+        return !!this.viewId && this.viewId === this.defaultViewId;
+    }
+
+    @wire(CurrentPageReference)
+    pageReferenceChanged(pageReference) {
+        this._pageReference = pageReference;
+
+        // Following a link to a view, or going back to one, applies it.
+        const viewId = pageReference?.state?.[VIEW_STATE] || '';
+        if (this._loaded && viewId !== this.viewId) {
+            this._select(viewId);
+        }
+    }
+
+    async connectedCallback() {
+        try {
+            const [ views, defaultViewId ] = await Promise.all([
+                getViews(),
+                getPreference({ name: DEFAULT_VIEW_PREFERENCE })
+            ]);
+
+            this.views = views;
+            this.defaultViewId = defaultViewId;
+
+        } catch(error) {
+            this._showError('Get views failed', error);
+        }
+
+        this._loaded = true;
+
+        // A view in the URL takes precedence over the user's default view.
+        const viewId = this._pageReference?.state?.[VIEW_STATE] || this.defaultViewId;
+        if (viewId) {
+            this._select(viewId);
+        }
+    }
+
+    viewChanged(event) {
+        this._select(event.detail.value);
+        this._updateUrl();
+    }
+
+    async actionSelected(event) {
+        try {
+            switch (event.detail.value) {
+                case 'saveAs':
+                    await this._saveAs();
+                    break;
+                case 'save':
+                    await saveView({
+                        viewId: this.viewId,
+                        name: this.selectedView.Name,
+                        definition: JSON.stringify(this.definition)
+                    });
+                    await this._reloadViews();
+                    break;
+                case 'default':
+                    await savePreference({ name: DEFAULT_VIEW_PREFERENCE, value: this.viewId });
+                    this.defaultViewId = this.viewId;
+                    break;
+                case 'clearDefault':
+                    await savePreference({ name: DEFAULT_VIEW_PREFERENCE, value: null });
+                    this.defaultViewId = undefined;
+                    break;
+                case 'share':
+                    await this._share();
+                    break;
+                case 'delete':
+                    await this._delete();
+                    break;
+                default:
+                    break;
+            }
+        } catch(error) {
+            this._showError('View action failed', error);
+        }
+    }
+
+    async _saveAs() {
+        const name = await AsynchronousJobViewName.open({
+            size: 'small',
+            description: 'Name the view of the jobs',
+            name: this.selectedView?.Name
+        });
+
+        if (!name) {
+            return;
+        }
+
+        this.viewId = await saveView({ viewId: null, name: name, definition: JSON.stringify(this.definition) });
+        await this._reloadViews();
+        this._updateUrl();
+    }
+
+    async _share() {
+        const userIds = await AsynchronousJobViewShare.open({
+            size: 'small',
+            description: 'Choose the users to share the view with',
+            viewName: this.selectedView.Name
+        });
+
+        if (!userIds) {
+            return;
+        }
+
+        await shareView({ viewId: this.viewId, userIds: userIds });
+        this.dispatchEvent(
+            new ShowToastEvent(
+                {
+                    title: 'Success',
+                    variant: 'success',
+                    message: 'The view has been shared with {0} users',
+                    messageData: [ '' + userIds.length ]
+                }
+            )
+        );
+    }
+
+    async _delete() {
+        await deleteView({ viewId: this.viewId });
+
+        if (this.isDefault) {
+            await savePreference({ name: DEFAULT_VIEW_PREFERENCE, value: null });
+            this.defaultViewId = undefined;
+        }
+
+        this.viewId = '';
+        await this._reloadViews();
+        this._updateUrl();
+    }
+
+    async _reloadViews() {
+        this.views = await getViews();
+    }
+
+    _select(viewId) {
+        const view = this.views.find(match => match.Id === viewId);
+
+        // The view may have been deleted, or no longer be shared with the user.
+        this.viewId = view ? view.Id : '';
+
+        if (view) {
+            this.dispatchEvent(
+                new CustomEvent('viewselected', { detail: { definition: JSON.parse(view.Definition__c) } })
+            );
+        }
+    }
+
+    _updateUrl() {
+        if (!this._pageReference) {
+            return;
+        }
+
+        const state = { ...this._pageReference.state };
+        if (this.viewId) {
+            state[VIEW_STATE] = this.viewId;
+        } else {
+            delete state[VIEW_STATE];
+        }
+
+        this[NavigationMixin.Navigate]({ ...this._pageReference, state: state }, true);
+    }
+
+    _showError(message, error) {
+        this.dispatchEvent(
+            new ShowToastEvent(
+                {
+                    title: 'Error',
+                    variant: 'error',
+                    message: message + ', Exception: {0}',
+                    messageData: [ error.body?.message || error.body?.pageErrors?.[0]?.message || error.message ]
+                }
+            )
+        );
+    }
+}
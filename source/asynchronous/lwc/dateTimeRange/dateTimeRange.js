@@ -0,0 +1,84 @@
+/**
+ * Created by Mark Brennand on 19/10/2026.
+ */
+
+import { LightningElement, api } from 'lwc';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Returns the range for one of the presets, calculated from the current time.
+ *
+ * @param preset The value of the preset.
+ *
+ * @returns {{from: string, to: undefined}} The range.
+ */
+export function presetRange(preset) {
+    const now = new Date();
+    let from;
+
+    if (preset === 'hour') {
+        from = new Date(now.getTime() - HOUR).toISOString();
+    } else if (preset === 'today') {
+        now.setHours(0, 0, 0, 0);
+        from = now.toISOString();
+    } else if (preset === 'day') {
+        from = new Date(now.getTime() - DAY).toISOString();
+    } else if (preset === 'week') {
+        from = new Date(now.getTime() - 7 * DAY).toISOString();
+    }
+
+    // The presets are open-ended so the range keeps up with newly scheduled jobs.
+    return { from: from, to: undefined };
+}
+
+export default class DateTimeRange extends LightningElement {
+    @api name;
+    @api label;
+    from;
+    to;
+    preset;
+
+    presets = [
+        { value: 'hour', label: 'Last hour' },
+        { value: 'today', label: 'Today' },
+        { value: 'day', label: 'Last 24 hours' },
+        { value: 'week', label: 'Last 7 days' },
+        { value: 'clear', label: 'Clear' }
+    ];
+
+    @api
+    applyRange(range) {
+        this.from = range?.from;
+        this.to = range?.to;
+        this.preset = range?.preset;
+    }
+
+    fromChange(event) {
+        this.from = event.detail.value || undefined;
+        this.preset = undefined;
+        this.updateRange();
+    }
+
+    toChange(event) {
+        this.to = event.detail.value || undefined;
+        this.preset = undefined;
+        this.updateRange();
+    }
+
+    presetSelected(event) {
+        const range = presetRange(event.detail.value);
+
+        this.from = range.from;
+        this.to = range.to;
+        this.preset = range.from ? event.detail.value : undefined;
+        this.updateRange();
+    }
+
+    updateRange() {
+        this.dispatchEvent(
+            new CustomEvent('change', { detail: { name: this.name, from: this.from, to: this.to, preset: this.preset } })
+        );
+    }
+}
@@ -16,10 +16,25 @@ export default class InlineCheckboxGroup extends LightningElement {
         return [...this._options];
     }
 
-    updateSelected() {
-        this._selectedValues = [...this.template.querySelectorAll('input')]
+    @api
+    get selected() {
+        return [...this.template.querySelectorAll('input')]
             .filter(element => element.checked)
             .map(element => element.value);
+    }
+
+    @api
+    select(values) {
+        this._options = this._options.map(option => ({ ...option, checked: values.includes(option.value) }));
+        this.template.querySelectorAll('input').forEach(element => {
+            element.checked = values.includes(element.value);
+        });
+
+        this.updateSelected();
+    }
+
+    updateSelected() {
+        this._selectedValues = this.selected;
 
         this.dispatchEvent(
             new CustomEvent('change', { detail: {selected: [...this._selectedValues]}})